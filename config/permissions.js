@@ -0,0 +1,60 @@
+// Role-based permission matrix for admin accounts
+
+const ROLES = ['owner', 'auctioneer', 'registrar', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  // Full access, including destructive resets and managing other admins
+  owner: [
+    'dashboard:view',
+    'auction:control',
+    'auction:reset',
+    'sales:undo',
+    'players:manage',
+    'teams:manage',
+    'tournaments:manage',
+    'data:reset',
+    'admins:manage'
+  ],
+  // Runs the live auction
+  auctioneer: [
+    'dashboard:view',
+    'auction:control',
+    'auction:reset',
+    'sales:undo',
+    'teams:manage'
+  ],
+  // Registration desk: approves players and uploads CSVs
+  registrar: [
+    'dashboard:view',
+    'players:manage'
+  ],
+  viewer: [
+    'dashboard:view'
+  ]
+};
+
+// Permission needed for each admin socket event; events not listed are denied
+const SOCKET_EVENT_PERMISSIONS = {
+  'admin:startAuction': 'auction:control',
+  'admin:pauseAuction': 'auction:control',
+  'admin:resumeAuction': 'auction:control',
+  'admin:removeFromAuction': 'auction:control',
+  'admin:startAutoAuction': 'auction:control',
+  'admin:stopAutoAuction': 'auction:control',
+  'admin:openNominations': 'auction:control',
+  'admin:closeNominations': 'auction:control',
+  'admin:moveInQueue': 'auction:control',
+  'admin:skipPlayer': 'auction:control',
+  'admin:pullToFront': 'auction:control',
+  'admin:deferPlayer': 'auction:control',
+  'admin:startSealedRound': 'auction:control',
+  'admin:resetAuction': 'auction:reset',
+  'admin:undoSale': 'sales:undo',
+  'admin:redoSale': 'sales:undo',
+  'admin:getAutoAuctionStatus': 'dashboard:view',
+  'admin:getQueue': 'dashboard:view'
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = { ROLES, ROLE_PERMISSIONS, SOCKET_EVENT_PERMISSIONS, hasPermission };
@@ -0,0 +1,46 @@
+// Create (or reset the password of) an admin account
+// Usage: node create-admin.js <username> <password> [role]   (role defaults to owner)
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const AdminUser = require('./models/AdminUser');
+
+const [username, password, role = 'owner'] = process.argv.slice(2);
+
+console.log('\n========================================');
+console.log('CREATE ADMIN ACCOUNT');
+console.log('========================================\n');
+
+if (!username || !password) {
+  console.error('❌ Usage: node create-admin.js <username> <password> [owner|auctioneer|registrar|viewer]');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('✅ Connected to MongoDB\n');
+
+    let admin = await AdminUser.findOne({ username: username.toLowerCase() });
+    if (admin) {
+      admin.password = password;
+      admin.role = role;
+      admin.isActive = true;
+      console.log(`Resetting password for existing admin: ${admin.username}`);
+    } else {
+      admin = new AdminUser({ username, password, role });
+      console.log(`Creating admin: ${username.toLowerCase()}`);
+    }
+
+    await admin.save(); // Password hashed by pre-save middleware
+
+    console.log('\n========================================');
+    console.log(`✅ Admin "${admin.username}" (${admin.role}) is ready to log in`);
+    console.log('========================================\n');
+
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
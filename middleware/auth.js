@@ -0,0 +1,102 @@
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const Team = require('../models/Team');
+const TeamSession = require('../models/TeamSession');
+const { hasPermission } = require('../config/permissions');
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Issue a signed token for an admin account
+const signAdminToken = (admin) => jwt.sign(
+  { sub: admin._id.toString(), username: admin.username, role: admin.role },
+  getSecret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+);
+
+// Verify a token and load the (still active) admin it belongs to, or null
+const verifyAdminToken = async (token) => {
+  if (!token) return null;
+
+  const secret = getSecret();
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    // Expired, tampered or malformed token
+    return null;
+  }
+
+  const admin = await AdminUser.findById(payload.sub);
+  if (!admin || !admin.isActive) return null;
+
+  return { admin, expiresAt: payload.exp * 1000 };
+};
+
+// Express middleware: require "Authorization: Bearer <token>" from an admin account
+const requireAdmin = async (req, res, next) => {
+  // Already authenticated by an earlier middleware in the chain
+  if (req.admin) return next();
+
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer' ? await verifyAdminToken(token) : null;
+
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Admin authentication required' });
+    }
+
+    req.admin = session.admin;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+const logPermissionDenied = (admin, action) => {
+  console.warn(`🚫 Permission denied: ${admin.username} (${admin.role}) attempted ${action}`);
+};
+
+// Express middleware: require an admin whose role grants the given permission
+const requirePermission = (permission) => [
+  requireAdmin,
+  (req, res, next) => {
+    if (!hasPermission(req.admin.role, permission)) {
+      logPermissionDenied(req.admin, `${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, message: `Your role cannot perform this action (${permission})` });
+    }
+    next();
+  }
+];
+
+// Express middleware: require "Authorization: Bearer <sessionToken>" from a team logged in
+// over the socket (the token issued with auth:success), for a team of req.tournament
+const requireTeam = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer' ? await TeamSession.findActiveByToken(token) : null;
+    const team = session && await Team.findOne({ _id: session.team, tournament: req.tournament._id });
+
+    if (!team) {
+      return res.status(401).json({ success: false, message: 'Team session required' });
+    }
+
+    req.team = team;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = {
+  signAdminToken,
+  verifyAdminToken,
+  requireAdmin,
+  requirePermission,
+  requireTeam,
+  logPermissionDenied
+};
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+
+// Resolve the :tournamentId route param and attach the document as req.tournament
+const loadTournament = async (req, res, next) => {
+  try {
+    const { tournamentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(tournamentId)) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+
+    req.tournament = tournament;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+module.exports = { loadTournament };
@@ -0,0 +1,78 @@
+// Move pre-tournament data (players, teams, bids, auction state) into a default tournament
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Tournament = require('./models/Tournament');
+const Player = require('./models/Player');
+const Team = require('./models/Team');
+const Bid = require('./models/Bid');
+const AuctionState = require('./models/AuctionState');
+
+const TOURNAMENT_NAME = process.argv[2] || 'Default Tournament';
+
+console.log('\n========================================');
+console.log('MIGRATE DATA TO TOURNAMENTS');
+console.log('========================================\n');
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(async () => {
+    console.log('✅ Connected to MongoDB\n');
+
+    let tournament = await Tournament.findOne({ name: TOURNAMENT_NAME });
+    if (!tournament) {
+      tournament = await Tournament.create({ name: TOURNAMENT_NAME });
+      console.log(`Created tournament: ${tournament.name} (${tournament._id})`);
+    } else {
+      console.log(`Using existing tournament: ${tournament.name} (${tournament._id})`);
+    }
+
+    // Team names and IDs used to be globally unique; they are now unique per tournament
+    for (const indexName of ['teamName_1', 'teamId_1']) {
+      try {
+        await Team.collection.dropIndex(indexName);
+        console.log(`Dropped legacy index teams.${indexName}`);
+      } catch (error) {
+        // Index already gone
+      }
+    }
+
+    const orphaned = { tournament: { $exists: false } };
+    const results = await Promise.all([
+      Player.updateMany(orphaned, { tournament: tournament._id }),
+      Team.updateMany(orphaned, { tournament: tournament._id }),
+      Bid.updateMany(orphaned, { tournament: tournament._id })
+    ]);
+
+    console.log(`Players moved: ${results[0].modifiedCount}`);
+    console.log(`Teams moved:   ${results[1].modifiedCount}`);
+    console.log(`Bids moved:    ${results[2].modifiedCount}`);
+
+    // Keep only the oldest legacy auction state, matching the old findOne() behaviour
+    const legacyStates = await AuctionState.find(orphaned).sort({ createdAt: 1, _id: 1 });
+    const hasState = await AuctionState.exists({ tournament: tournament._id });
+
+    if (legacyStates.length > 0 && !hasState) {
+      await AuctionState.updateOne({ _id: legacyStates[0]._id }, { tournament: tournament._id });
+      legacyStates.shift();
+    } else if (!hasState) {
+      await AuctionState.create({ tournament: tournament._id });
+    }
+
+    if (legacyStates.length > 0) {
+      await AuctionState.deleteMany({ _id: { $in: legacyStates.map(state => state._id) } });
+      console.log(`Removed ${legacyStates.length} duplicate auction state documents`);
+    }
+
+    await Promise.all([Team.syncIndexes(), AuctionState.syncIndexes()]);
+
+    console.log('\n========================================');
+    console.log(`✅ Migration complete. Tournament ID: ${tournament._id}`);
+    console.log('========================================\n');
+
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'TEAM_CREATED',
+  'TEAM_DELETED',
+  'AUCTION_STARTED',
+  'BID_PLACED',
+  'AUCTION_PAUSED',
+  'AUCTION_RESUMED',
+  'AUCTION_ROUND_RESET',
+  'PLAYER_SOLD',
+  'PLAYER_UNSOLD',
+  'PLAYER_REMOVED_FROM_AUCTION',
+  'SALE_UNDONE',
+  'SALE_REDONE',
+  'RTM_OFFERED',
+  'RTM_ACCEPTED',
+  'RTM_DECLINED',
+  'SEALED_ROUND_STARTED',
+  'SEALED_ROUND_REVEALED',
+  'AUTO_AUCTION_STARTED',
+  'AUTO_AUCTION_STOPPED',
+  'NOMINATIONS_OPENED',
+  'NOMINATIONS_CLOSED',
+  'QUEUE_EDITED',
+  'REGISTRATION_APPROVED',
+  'REGISTRATION_REJECTED',
+  'AUCTION_DATA_RESET',
+  'ALL_DATA_CLEARED',
+  'TOURNAMENT_DELETED'
+];
+
+// Append-only record of every auction state transition.
+// Deleting a tournament keeps its events (ending with TOURNAMENT_DELETED) as the audit trail.
+const auctionEventSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  // Who caused it: an admin, a team, or the server itself (timer, auto auction)
+  actor: {
+    kind: { type: String, enum: ['admin', 'team', 'system'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: { type: String, default: null }
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    default: null
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+auctionEventSchema.index({ tournament: 1, timestamp: 1, _id: 1 });
+auctionEventSchema.index({ tournament: 1, player: 1 });
+
+// The log is never edited or trimmed
+const rejectChange = function(next) {
+  next(new Error('Auction events are append-only'));
+};
+auctionEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+auctionEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Auction events are append-only'));
+  next();
+});
+
+auctionEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('AuctionEvent', auctionEventSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Admin-defined group of players auctioned together in set-wise auto auction
+const auctionSetSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    // The auction engine keys its per-set queues by name, and Mongo map keys cannot hold these
+    validate: {
+      validator: (name) => !name.includes('.') && !name.startsWith('$'),
+      message: 'Set name cannot contain "." or start with "$"'
+    }
+  },
+  // Sets are auctioned in ascending order
+  order: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Players listed here always belong to the set, whatever the rules say
+  players: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  }],
+  // Other players join when they match every rule that is set
+  rules: {
+    categories: {
+      type: [String],
+      enum: ['Batsman', 'Bowler', 'All-Rounder', 'Wicket-Keeper'],
+      default: []
+    },
+    minBasePrice: { type: Number, default: null },
+    maxBasePrice: { type: Number, default: null },
+    tags: { type: [String], default: [] }
+  },
+  introSeconds: {
+    type: Number,
+    min: 0,
+    default: 30
+  }
+}, {
+  timestamps: true
+});
+
+auctionSetSchema.index({ tournament: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuctionSet', auctionSetSchema);
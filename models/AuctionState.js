@@ -1,14 +1,23 @@
 const mongoose = require('mongoose');
 
 const auctionStateSchema = new mongoose.Schema({
+  // One auction state document per tournament
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true,
+    unique: true
+  },
   currentPlayer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player',
     default: null
   },
-  timerValue: {
-    type: Number,
-    default: 60
+  // Countdown for the current player: a deadline while running, remainingMs while paused
+  timer: {
+    deadline: { type: Date, default: null },
+    remainingMs: { type: Number, default: null },
+    durationMs: { type: Number, default: null }
   },
   isActive: {
     type: Boolean,
@@ -22,6 +31,16 @@ const auctionStateSchema = new mongoose.Schema({
     amount: { type: Number, default: 5 },
     team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null }
   },
+  // Set when the clock runs out: no bid may land while the round is being settled
+  biddingClosed: {
+    type: Boolean,
+    default: false
+  },
+  // Idempotency key of the current round, cleared when its sale is settled
+  roundKey: {
+    type: String,
+    default: null
+  },
   auctionStartedAt: {
     type: Date,
     default: null
@@ -35,7 +54,29 @@ const auctionStateSchema = new mongoose.Schema({
     team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
     amount: Number,
     soldAt: Date
-  }]
+  }],
+  // Snapshot of the in-memory auto auction engine so a restart can resume it
+  engine: {
+    isAutoAuction: { type: Boolean, default: false },
+    isRandomMode: { type: Boolean, default: false },
+    playerQueue: { type: [String], default: [] },
+    unsoldPlayers: { type: [String], default: [] },
+    setQueues: { type: Map, of: [String], default: {} },
+    setDetails: {
+      type: Map,
+      of: new mongoose.Schema({
+        introSeconds: Number,
+        minBasePrice: Number,
+        maxBasePrice: Number
+      }, { _id: false }),
+      default: {}
+    },
+    remainingSetOrder: { type: [String], default: [] },
+    currentSetName: { type: String, default: null },
+    inUnsoldRound: { type: Boolean, default: false },
+    inAcceleratedRound: { type: Boolean, default: false },
+    savedAt: { type: Date, default: null }
+  }
 }, {
   timestamps: true
 });
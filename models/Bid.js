@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 //fixed issues
 const bidSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true,
+    index: true
+  },
   player: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player',
@@ -22,6 +28,35 @@ const bidSchema = new mongoose.Schema({
   isWinning: {
     type: Boolean,
     default: false
+  },
+  // OPEN = live paddle bid, SEALED = hidden bid from a sealed tiebreaker round
+  type: {
+    type: String,
+    enum: ['OPEN', 'SEALED'],
+    default: 'OPEN'
+  },
+  // Placed by the server on the team's behalf from its proxy ceiling (models/ProxyBid.js)
+  isAuto: {
+    type: Boolean,
+    default: false
+  },
+  // Bids of an undone sale, a reset round or a removed player are kept but voided;
+  // for an undone sale voidKey groups them so a redo can restore them
+  voided: {
+    type: Boolean,
+    default: false
+  },
+  voidKey: {
+    type: String,
+    default: null
+  },
+  voidReason: {
+    type: String,
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -29,5 +64,6 @@ const bidSchema = new mongoose.Schema({
 
 // Index for fast queries
 bidSchema.index({ player: 1, timestamp: -1 });
+bidSchema.index({ tournament: 1, timestamp: -1 });
 
 module.exports = mongoose.model('Bid', bidSchema);
@@ -1,11 +1,23 @@
 const mongoose = require('mongoose');
+const { BATTING_HANDS, BOWLING_STYLES } = require('../utils/playerProfile');
 
 const playerSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true,
+    index: true
+  },
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Organiser's own player code (e.g. from a registration sheet); CSV imports match on it
+  externalCode: {
+    type: String,
+    trim: true
+  },
   photo: {
     type: String,
     default: 'https://res.cloudinary.com/dz8q0fb8m/image/upload/v1772197979/defaultPlayer_kad3xb.png'
@@ -20,16 +32,95 @@ const playerSchema = new mongoose.Schema({
     required: true,
     default: 5
   },
+  battingHand: {
+    type: String,
+    enum: BATTING_HANDS,
+    default: null
+  },
+  bowlingStyle: {
+    type: String,
+    enum: BOWLING_STYLES,
+    default: null
+  },
+  roleNotes: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  // Previous season
+  stats: {
+    matches: { type: Number, min: 0, default: null },
+    runs: { type: Number, min: 0, default: null },
+    wickets: { type: Number, min: 0, default: null },
+    strikeRate: { type: Number, min: 0, default: null },
+    economy: { type: Number, min: 0, default: null }
+  },
+  // Unique within a team once sold (see the index below)
+  jerseyNumber: {
+    type: Number,
+    min: 0,
+    max: 999,
+    default: null
+  },
+  // Admin-only: never selected unless asked for with select('+contact.phone +contact.email')
+  contact: {
+    phone: { type: String, trim: true, default: null, select: false },
+    email: { type: String, trim: true, lowercase: true, default: null, select: false }
+  },
   status: {
     type: String,
     enum: ['UNSOLD', 'SOLD', 'IN_AUCTION'],
     default: 'UNSOLD'
   },
+  isOverseas: {
+    type: Boolean,
+    default: false
+  },
   availability: {
     type: String,
     enum: ['AVAILABLE', 'UNAVAILABLE'],
     default: 'AVAILABLE'
   },
+  // Self-registered players wait for an admin; players added by admins are approved outright
+  registrationStatus: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'APPROVED'
+  },
+  // Handed to the registrant to look up their status. It works like a password,
+  // so it's never selected unless asked for with select('+referenceCode')
+  referenceCode: {
+    type: String,
+    default: undefined,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  // Free-form labels (e.g. "U19", "capped") that auction set rules can match on
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Team the player turned out for last season; it may use an RTM card to match the winning bid
+  previousTeam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
   soldTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team',
@@ -42,9 +133,47 @@ const playerSchema = new mongoose.Schema({
   soldAt: {
     type: Date,
     default: null
+  },
+  // Kept by its team before the auction at a retention slab price (soldTo/soldPrice hold team and price)
+  isRetained: {
+    type: Boolean,
+    default: false
+  },
+  // Auction round that settled the sale (see utils/saleSettlement.js)
+  saleKey: {
+    type: String,
+    default: null
+  },
+  // Last undone sale, kept so it can be redone
+  voidedSale: {
+    type: {
+      team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+      price: Number,
+      soldAt: Date,
+      saleKey: String,
+      voidKey: String,
+      reason: String,
+      voidedAt: Date
+    },
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// No two players of a team share a jersey number
+playerSchema.index(
+  { soldTo: 1, jerseyNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { soldTo: { $type: 'objectId' }, jerseyNumber: { $type: 'number' } }
+  }
+);
+
+// Player codes are unique within a tournament
+playerSchema.index(
+  { tournament: 1, externalCode: 1 },
+  { unique: true, partialFilterExpression: { externalCode: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Player', playerSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A team's private auto-bid ceiling for one player. Never broadcast: only the owning team sees it.
+const proxyBidSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true
+  },
+  ceiling: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Set once the team has been told the bidding passed its ceiling
+  exhaustedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+proxyBidSchema.index({ team: 1, player: 1 }, { unique: true });
+proxyBidSchema.index({ tournament: 1, player: 1 });
+
+module.exports = mongoose.model('ProxyBid', proxyBidSchema);
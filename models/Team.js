@@ -2,10 +2,14 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
 const teamSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
   teamName: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   captainName: {
@@ -15,8 +19,7 @@ const teamSchema = new mongoose.Schema({
   },
   teamId: {
     type: String,
-    required: true,
-    unique: true
+    required: true
   },
   pin: {
     type: String,
@@ -34,13 +37,24 @@ const teamSchema = new mongoose.Schema({
   rosterSlotsFilled: {
     type: Number,
     default: 0,
-    min: 0,
-    max: 11
+    min: 0
   },
   players: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player'
   }],
+  // Right-to-Match cards left (starts at the tournament's rtmCardsPerTeam)
+  rtmCardsRemaining: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Failed PIN login tracking (see utils/loginThrottle.js)
+  pinLogin: {
+    failures: { type: Number, default: 0 },
+    retryAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null }
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -53,6 +67,10 @@ const teamSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Team names and login IDs only need to be unique within a tournament
+teamSchema.index({ tournament: 1, teamId: 1 }, { unique: true });
+teamSchema.index({ tournament: 1, teamName: 1 }, { unique: true });
+
 // Hash PIN before saving
 teamSchema.pre('save', async function(next) {
   if (!this.isModified('pin')) return next();
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SESSION_TTL_HOURS = Number.parseInt(process.env.TEAM_SESSION_TTL_HOURS) || 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const teamSessionSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true,
+    index: true
+  },
+  // Only the hash is stored; the raw token lives on the captain's device
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired sessions on its own
+teamSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a session for a team and return the raw token (only time it's available)
+teamSessionSchema.statics.issue = async function(team) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = await this.create({
+    tournament: team.tournament,
+    team: team._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+  });
+  return { session, token };
+};
+
+// Find a usable (not revoked, not expired) session by its raw token
+teamSessionSchema.statics.findActiveByToken = function(token) {
+  if (typeof token !== 'string' || !token) return null;
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+teamSessionSchema.statics.revokeForTeam = function(teamId) {
+  return this.updateMany({ team: teamId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model('TeamSession', teamSessionSchema);
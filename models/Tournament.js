@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { DEFAULT_BID_INCREMENTS } = require('../utils/auctionRules');
+
+const bidIncrementSchema = new mongoose.Schema({
+  // Tier applies while the current bid is below this amount (null = no upper limit)
+  upTo: {
+    type: Number,
+    default: null
+  },
+  increment: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const compositionRuleSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: ['Batsman', 'Bowler', 'All-Rounder', 'Wicket-Keeper']
+  },
+  min: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // null = no upper limit
+  max: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  season: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['UPCOMING', 'LIVE', 'COMPLETED'],
+    default: 'UPCOMING'
+  },
+  // Per-auction rules (fall back to the server-wide .env values)
+  settings: {
+    initialBudget: {
+      type: Number,
+      default: () => Number.parseInt(process.env.INITIAL_BUDGET) || 110
+    },
+    maxSquadSize: {
+      type: Number,
+      default: () => Number.parseInt(process.env.MAX_SQUAD_SIZE) || 11
+    },
+    // Squad size every team must be able to reach; purse is reserved for the empty slots
+    minSquadSize: {
+      type: Number,
+      min: 0,
+      default: () => Number.parseInt(process.env.MIN_SQUAD_SIZE) || Number.parseInt(process.env.MAX_SQUAD_SIZE) || 11,
+      validate: {
+        validator: function (value) {
+          return value <= this.settings.maxSquadSize;
+        },
+        message: 'Minimum squad size cannot exceed maximum squad size'
+      }
+    },
+    minBasePrice: {
+      type: Number,
+      min: 0,
+      default: () => Number.parseInt(process.env.BASE_PRICE) || 5
+    },
+    // Squad composition constraints, e.g. at least 1 Wicket-Keeper, at most 5 Bowlers
+    compositionRules: {
+      type: [compositionRuleSchema],
+      default: []
+    },
+    maxOverseas: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Price of each pre-auction retention in order (1st, 2nd, ...); its length caps retentions per team
+    retentionSlabs: {
+      type: [{ type: Number, min: 0 }],
+      default: []
+    },
+    // Right-to-Match cards each team starts with, and how long a team has to use one
+    rtmCardsPerTeam: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    rtmOfferSeconds: {
+      type: Number,
+      min: 5,
+      default: 20
+    },
+    // Unsold players come back only if a team nominates them, at a reduced price and on a shorter clock
+    acceleratedRound: {
+      enabled: { type: Boolean, default: false },
+      basePriceCutPercent: { type: Number, min: 0, max: 100, default: 0 },
+      timerSeconds: { type: Number, min: 5, default: 15 },
+      // null = no limit
+      maxNominationsPerTeam: { type: Number, min: 1, default: null }
+    },
+    // Auction clock: countdown when a player comes up, and what each accepted bid resets it to
+    timer: {
+      openingSeconds: {
+        type: Number,
+        min: 5,
+        default: () => Number.parseInt(process.env.TIMER_DURATION) || 20
+      },
+      bidResetSeconds: { type: Number, min: 5, default: 30 }
+    },
+    // Sealed tiebreaker: how long teams have to submit, and who wins equal bids
+    sealedRound: {
+      durationSeconds: { type: Number, min: 5, default: 30 },
+      tieRule: { type: String, enum: ['EARLIEST_SUBMISSION', 'LARGER_PURSE'], default: 'EARLIEST_SUBMISSION' }
+    },
+    bidIncrements: {
+      type: [bidIncrementSchema],
+      default: () => DEFAULT_BID_INCREMENTS,
+      validate: {
+        validator: (tiers) => tiers.length > 0 && tiers.filter(tier => tier.upTo == null).length === 1,
+        message: 'Bid increment ladder needs exactly one open-ended tier (upTo: null)'
+      }
+    }
+  }
+}, {
+  timestamps: true
+});
+
+tournamentSchema.index({ name: 1, season: 1 }, { unique: true });
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A player on a team's private watchlist, with the captain's planning notes
+const watchlistEntrySchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true
+  },
+  // 1 = most wanted
+  priority: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Most the team plans to pay (null = base price)
+  plannedMax: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+watchlistEntrySchema.index({ team: 1, player: 1 }, { unique: true });
+watchlistEntrySchema.index({ tournament: 1, player: 1 });
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
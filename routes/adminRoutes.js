@@ -1,13 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Team = require('../models/Team');
 const Player = require('../models/Player');
 const Bid = require('../models/Bid');
+const ProxyBid = require('../models/ProxyBid');
+const WatchlistEntry = require('../models/WatchlistEntry');
 const AuctionState = require('../models/AuctionState');
+const TeamSession = require('../models/TeamSession');
 const { uploadTeamLogo, uploadToCloudinary } = require('../config/cloudinary');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { adminActor, recordEvent } = require('../utils/auctionEvents');
+const { retainPlayer, releaseRetention } = require('../utils/saleSettlement');
+
+// Every admin route requires a signed-in admin
+router.use(requireAdmin);
 
 // Create single team/captain with logo upload
-router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) => {
+router.post('/create-captain', requirePermission('teams:manage'), uploadTeamLogo.single('logo'), async (req, res) => {
   try {
     // Log received data for debugging
     console.log('Received body:', req.body);
@@ -31,7 +41,7 @@ router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) =
       });
     }
 
-    const captainPlayer = await Player.findById(captainPlayerId);
+    const captainPlayer = await Player.findOne({ _id: captainPlayerId, tournament: req.tournament._id });
     if (!captainPlayer) {
       return res.status(404).json({
         success: false,
@@ -42,7 +52,9 @@ router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) =
     const isPlayerAvailableForCaptain =
       captainPlayer.status === 'UNSOLD' &&
       captainPlayer.availability === 'AVAILABLE' &&
-      !captainPlayer.soldTo;
+      !captainPlayer.soldTo &&
+      // Registrations still waiting for review (or rejected) can't lead a team
+      (!captainPlayer.registrationStatus || captainPlayer.registrationStatus === 'APPROVED');
 
     if (!isPlayerAvailableForCaptain) {
       return res.status(400).json({
@@ -52,7 +64,7 @@ router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) =
     }
 
     // Check if teamId already exists
-    const existingTeam = await Team.findOne({ teamId });
+    const existingTeam = await Team.findOne({ tournament: req.tournament._id, teamId });
     if (existingTeam) {
       return res.status(400).json({ 
         success: false, 
@@ -78,12 +90,14 @@ router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) =
 
     // Create new team
     const newTeam = new Team({
+      tournament: req.tournament._id,
       teamName,
       captainName: captainName || captainPlayer.name,
       teamId,
       pin, // Will be hashed by pre-save middleware
       logo: logoUrl,
-      remainingPoints: Number.parseInt(process.env.INITIAL_BUDGET) || 110,
+      remainingPoints: req.tournament.settings.initialBudget,
+      rtmCardsRemaining: req.tournament.settings.rtmCardsPerTeam,
       rosterSlotsFilled: 1,
       players: [captainPlayer._id]
     });
@@ -96,6 +110,24 @@ router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) =
     captainPlayer.soldAt = new Date();
     await captainPlayer.save();
 
+    await recordEvent({
+      tournament: req.tournament._id,
+      type: 'TEAM_CREATED',
+      actor: adminActor(req.admin),
+      team: newTeam._id,
+      amount: newTeam.remainingPoints,
+      payload: { teamName: newTeam.teamName, teamId: newTeam.teamId }
+    });
+    await recordEvent({
+      tournament: req.tournament._id,
+      type: 'PLAYER_SOLD',
+      actor: adminActor(req.admin),
+      player: captainPlayer._id,
+      team: newTeam._id,
+      amount: 0,
+      payload: { source: 'captain' }
+    });
+
     console.log('Team created successfully:', newTeam.teamId);
 
     res.json({ 
@@ -120,7 +152,7 @@ router.post('/create-captain', uploadTeamLogo.single('logo'), async (req, res) =
 });
 
 // Generate teams with PINs
-router.post('/generate-teams', async (req, res) => {
+router.post('/generate-teams', requirePermission('teams:manage'), async (req, res) => {
   try {
     const { count = 20, prefix = 'TEAM' } = req.body;
     
@@ -130,17 +162,30 @@ router.post('/generate-teams', async (req, res) => {
       const pin = String(Math.floor(1000 + Math.random() * 9000)); // 4-digit PIN
       
       teams.push({
+        tournament: req.tournament._id,
         teamName: `${prefix} ${teamNumber}`,
         captainName: `Captain ${teamNumber}`,
         teamId: `${prefix}${teamNumber}`,
         pin: pin,
-        remainingPoints: Number.parseInt(process.env.INITIAL_BUDGET) || 110,
+        remainingPoints: req.tournament.settings.initialBudget,
+        rtmCardsRemaining: req.tournament.settings.rtmCardsPerTeam,
         rosterSlotsFilled: 0,
         players: []
       });
     }
 
     const createdTeams = await Team.insertMany(teams);
+
+    for (const team of createdTeams) {
+      await recordEvent({
+        tournament: req.tournament._id,
+        type: 'TEAM_CREATED',
+        actor: adminActor(req.admin),
+        team: team._id,
+        amount: team.remainingPoints,
+        payload: { teamName: team.teamName, teamId: team.teamId }
+      });
+    }
     
     // Return teams with unhashed PINs for display (only once)
     const teamsWithPins = createdTeams.map((team, index) => ({
@@ -162,35 +207,50 @@ router.post('/generate-teams', async (req, res) => {
 });
 
 // Reset entire auction
-router.post('/reset', async (req, res) => {
+router.post('/reset', requirePermission('data:reset'), async (req, res) => {
   try {
+    const tournament = req.tournament._id;
+
     // Reset all players
     await Player.updateMany(
-      {},
+      { tournament },
       {
         status: 'UNSOLD',
         soldTo: null,
         soldPrice: null,
-        soldAt: null
+        soldAt: null,
+        saleKey: null,
+        voidedSale: null,
+        isRetained: false
       }
     );
 
     // Reset all teams
     await Team.updateMany(
-      {},
+      { tournament },
       {
-        remainingPoints: Number.parseInt(process.env.INITIAL_BUDGET) || 110,
+        remainingPoints: req.tournament.settings.initialBudget,
+        rtmCardsRemaining: req.tournament.settings.rtmCardsPerTeam,
         rosterSlotsFilled: 0,
         players: [],
         isOnline: false
       }
     );
 
-    // Clear all bids
-    await Bid.deleteMany({});
+    // Clear all bids and auto-bid ceilings
+    await Bid.deleteMany({ tournament });
+    await ProxyBid.deleteMany({ tournament });
 
     // Reset auction state
-    await AuctionState.deleteMany({});
+    await AuctionState.deleteMany({ tournament });
+    await AuctionState.create({ tournament });
+
+    await recordEvent({
+      tournament,
+      type: 'AUCTION_DATA_RESET',
+      actor: adminActor(req.admin),
+      amount: req.tournament.settings.initialBudget
+    });
 
     res.json({ 
       success: true, 
@@ -202,12 +262,19 @@ router.post('/reset', async (req, res) => {
 });
 
 // Delete all data (complete reset)
-router.delete('/clear-all', async (req, res) => {
+router.delete('/clear-all', requirePermission('data:reset'), async (req, res) => {
   try {
-    await Player.deleteMany({});
-    await Team.deleteMany({});
-    await Bid.deleteMany({});
-    await AuctionState.deleteMany({});
+    const tournament = req.tournament._id;
+
+    await Player.deleteMany({ tournament });
+    await Team.deleteMany({ tournament });
+    await Bid.deleteMany({ tournament });
+    await ProxyBid.deleteMany({ tournament });
+    await WatchlistEntry.deleteMany({ tournament });
+    await AuctionState.deleteMany({ tournament });
+    await AuctionState.create({ tournament });
+
+    await recordEvent({ tournament, type: 'ALL_DATA_CLEARED', actor: adminActor(req.admin) });
 
     res.json({ 
       success: true, 
@@ -219,16 +286,15 @@ router.delete('/clear-all', async (req, res) => {
 });
 
 // Get dashboard data
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:view'), async (req, res) => {
   try {
-    const teams = await Team.find()
+    const teams = await Team.find({ tournament: req.tournament._id })
       .select('-pin')
       .populate('players', 'name category soldPrice');
     
-    const players = await Player.find();
+    const players = await Player.find({ tournament: req.tournament._id });
     
-    const auctionState = await AuctionState.findOne()
-      .sort({ createdAt: 1, _id: 1 })
+    const auctionState = await AuctionState.findOne({ tournament: req.tournament._id })
       .populate('currentPlayer')
       .populate('currentHighBid.team', 'teamName');
 
@@ -252,14 +318,19 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Update team details
-router.put('/teams/:id', async (req, res) => {
+router.put('/teams/:id', requirePermission('teams:manage'), async (req, res) => {
   try {
-    const { teamName, captainName } = req.body;
+    const { teamName, captainName, rtmCardsRemaining } = req.body;
+
+    const update = { teamName, captainName };
+    if (rtmCardsRemaining !== undefined) {
+      update.rtmCardsRemaining = Number.parseInt(rtmCardsRemaining);
+    }
     
-    const team = await Team.findByIdAndUpdate(
-      req.params.id,
-      { teamName, captainName },
-      { new: true }
+    const team = await Team.findOneAndUpdate(
+      { _id: req.params.id, tournament: req.tournament._id },
+      update,
+      { new: true, runValidators: true }
     ).select('-pin');
 
     if (!team) {
@@ -272,26 +343,267 @@ router.put('/teams/:id', async (req, res) => {
   }
 });
 
+// List a team's retained players with the slab price each one took
+router.get('/teams/:id/retentions', requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id }).select('-pin');
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const retentions = await Player.find({ soldTo: team._id, isRetained: true }).sort({ soldAt: 1 });
+    const slabs = req.tournament.settings.retentionSlabs;
+
+    res.json({
+      success: true,
+      retentions,
+      slotsRemaining: Math.max(0, slabs.length - retentions.length),
+      nextSlabPrice: slabs[retentions.length] ?? null
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retain a player before the auction at the team's next slab price
+router.post('/teams/:id/retentions', requirePermission('teams:manage'), async (req, res) => {
+  try {
+    const { playerId } = req.body;
+    const { settings } = req.tournament;
+
+    // Retentions close once bidding has started
+    if (await Bid.exists({ tournament: req.tournament._id })) {
+      return res.status(400).json({ success: false, message: 'Retentions are closed once bidding has started' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const player = await Player.findOne({ _id: playerId, tournament: req.tournament._id });
+    if (!player) {
+      return res.status(404).json({ success: false, message: 'Player not found' });
+    }
+    if (player.status !== 'UNSOLD' || player.soldTo || (player.registrationStatus && player.registrationStatus !== 'APPROVED')) {
+      return res.status(400).json({ success: false, message: `${player.name} is not available for retention` });
+    }
+
+    const retainedCount = await Player.countDocuments({ soldTo: team._id, isRetained: true });
+    if (retainedCount >= settings.retentionSlabs.length) {
+      return res.status(400).json({
+        success: false,
+        message: `${team.teamName} has used all ${settings.retentionSlabs.length} retention slot(s)`
+      });
+    }
+
+    if (team.rosterSlotsFilled >= settings.maxSquadSize) {
+      return res.status(400).json({ success: false, message: `${team.teamName} squad is full` });
+    }
+
+    const price = settings.retentionSlabs[retainedCount];
+    if (price > team.remainingPoints) {
+      return res.status(400).json({
+        success: false,
+        message: `Retention slab ${retainedCount + 1} costs ₹${price}L but ${team.teamName} has ₹${team.remainingPoints}L`
+      });
+    }
+
+    const claimed = await retainPlayer({
+      tournamentId: req.tournament._id,
+      playerId: player._id,
+      teamId: team._id,
+      price,
+      slab: retainedCount + 1,
+      maxSquadSize: settings.maxSquadSize,
+      actor: adminActor(req.admin)
+    });
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: `${player.name} was just taken` });
+    }
+
+    console.log(`${team.teamName} retained ${player.name} at ₹${price}L (slab ${retainedCount + 1})`);
+    res.json({
+      success: true,
+      message: `${player.name} retained by ${team.teamName} for ₹${price}L`,
+      player: claimed,
+      remainingPoints: team.remainingPoints - price
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Release a retention and refund it; slabs are priced by order, so only the latest can be released
+router.delete('/teams/:id/retentions/:playerId', requirePermission('teams:manage'), async (req, res) => {
+  try {
+    if (await Bid.exists({ tournament: req.tournament._id })) {
+      return res.status(400).json({ success: false, message: 'Retentions are closed once bidding has started' });
+    }
+
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const latest = await Player.findOne({ soldTo: team._id, isRetained: true }).sort({ soldAt: -1 });
+    if (!latest || latest._id.toString() !== req.params.playerId) {
+      return res.status(400).json({
+        success: false,
+        message: latest ? `Release ${latest.name} first (latest retention)` : 'Player is not retained by this team'
+      });
+    }
+
+    const price = await releaseRetention({
+      tournamentId: req.tournament._id,
+      playerId: latest._id,
+      teamId: team._id,
+      actor: adminActor(req.admin)
+    });
+    if (price === null) {
+      return res.status(409).json({ success: false, message: `${latest.name} was just released` });
+    }
+
+    res.json({
+      success: true,
+      message: `${latest.name} released by ${team.teamName}, ₹${price}L refunded`,
+      remainingPoints: team.remainingPoints + price
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// List active reconnect sessions for a team
+router.get('/teams/:id/sessions', requirePermission('teams:manage'), async (req, res) => {
+  try {
+    const team = mongoose.isValidObjectId(req.params.id)
+      && await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const sessions = await TeamSession.find({
+      tournament: req.tournament._id,
+      team: team._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-tokenHash')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({ success: true, sessions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Revoke every session of a team and disconnect its sockets (captain must re-enter the PIN)
+router.delete('/teams/:id/sessions', requirePermission('teams:manage'), async (req, res) => {
+  try {
+    const team = mongoose.isValidObjectId(req.params.id)
+      && await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const result = await TeamSession.revokeForTeam(team._id);
+
+    const io = req.app.get('io');
+    io.to(`team:${team._id}`).emit('auth:revoked', { message: 'Your session was ended by the admin' });
+    io.in(`team:${team._id}`).disconnectSockets(true);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} session(s) revoked for ${team.teamName}`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Unlock a team after too many wrong PINs
+router.post('/teams/:id/unlock', requirePermission('teams:manage'), async (req, res) => {
+  try {
+    const team = await Team.findOneAndUpdate(
+      { _id: req.params.id, tournament: req.tournament._id },
+      { pinLogin: { failures: 0, retryAt: null, lockedUntil: null } },
+      { new: true }
+    ).select('-pin');
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    console.log(`Team ${team.teamName} unlocked by ${req.admin.username}`);
+    res.json({ success: true, message: `${team.teamName} unlocked`, team });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Issue a fresh 4-digit PIN: unlocks the team and signs out every device
+router.post('/teams/:id/regenerate-pin', requirePermission('teams:manage'), async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const pin = String(Math.floor(1000 + Math.random() * 9000)); // 4-digit PIN
+    team.pin = pin; // Will be hashed by pre-save middleware
+    team.pinLogin = { failures: 0, retryAt: null, lockedUntil: null };
+    await team.save();
+
+    await TeamSession.revokeForTeam(team._id);
+    req.app.get('io').in(`team:${team._id}`).disconnectSockets(true);
+
+    console.log(`PIN regenerated for ${team.teamName} by ${req.admin.username}`);
+    res.json({
+      success: true,
+      message: `New PIN generated for ${team.teamName}`,
+      team: {
+        _id: team._id,
+        teamId: team.teamId,
+        teamName: team.teamName,
+        pin // Return unhashed PIN (only time it's shown)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Clear all data
-router.post('/clear-all-data', async (req, res) => {
+router.post('/clear-all-data', requirePermission('data:reset'), async (req, res) => {
   try {
-    // Delete all records from all collections
+    const tournament = req.tournament._id;
+
+    // Delete all records belonging to this tournament
     await Promise.all([
-      Player.deleteMany({}),
-      Team.deleteMany({}),
-      Bid.deleteMany({}),
-      AuctionState.deleteMany({})
+      Player.deleteMany({ tournament }),
+      Team.deleteMany({ tournament }),
+      Bid.deleteMany({ tournament }),
+      ProxyBid.deleteMany({ tournament }),
+      WatchlistEntry.deleteMany({ tournament }),
+      AuctionState.deleteMany({ tournament })
     ]);
 
     // Reinitialize auction state
     await AuctionState.create({
+      tournament,
       currentPlayer: null,
       isActive: false,
       isPaused: false,
-      currentHighBid: { amount: 5, team: null },
-      timerValue: Number.parseInt(process.env.TIMER_DURATION) || 20
+      currentHighBid: { amount: 5, team: null }
     });
 
+    await recordEvent({ tournament, type: 'ALL_DATA_CLEARED', actor: adminActor(req.admin) });
+
     res.json({ 
       success: true, 
       message: 'All data cleared successfully. Players, teams, bids, and auction state have been reset.' 
@@ -3,12 +3,17 @@ const router = express.Router();
 const AuctionState = require('../models/AuctionState');
 const Player = require('../models/Player');
 const Bid = require('../models/Bid');
+const Team = require('../models/Team');
+const AuctionEvent = require('../models/AuctionEvent');
+const { sortLadder, getNextBid } = require('../utils/auctionRules');
+const { replayEvents } = require('../utils/auctionEvents');
+const { getPersistedRemainingMs } = require('../utils/auctionTimer');
+const { requirePermission } = require('../middleware/auth');
 
 // Get current auction state with timer calculation
 router.get('/state', async (req, res) => {
   try {
-    const state = await AuctionState.findOne()
-      .sort({ createdAt: 1, _id: 1 })
+    const state = await AuctionState.findOne({ tournament: req.tournament._id })
       .populate('currentPlayer')
       .populate('currentHighBid.team', 'teamName logo remainingPoints')
       .populate({
@@ -22,7 +27,8 @@ router.get('/state', async (req, res) => {
 
     // If no auction state exists or not active, check for any player in IN_AUCTION status
     if (!state || !state.isActive) {
-      const playerInAuction = await Player.findOne({ status: 'IN_AUCTION' }).sort({ createdAt: 1, _id: 1 });
+      const playerInAuction = await Player.findOne({ tournament: req.tournament._id, status: 'IN_AUCTION' })
+        .sort({ createdAt: 1, _id: 1 });
       
       if (playerInAuction) {
         // Found a player in auction but no active state - reset the player
@@ -35,28 +41,34 @@ router.get('/state', async (req, res) => {
         success: true, 
         state: state || null,
         timerValue: 0,
-        isActive: false
+        isActive: false,
+        bidIncrements: sortLadder(req.tournament.settings.bidIncrements),
+        nextBid: null
       });
     }
 
-    // Calculate timer value (you'll need to import this from socket handler or use a shared module)
-    // For now, return a default or calculate based on last bid time
-    const timerDuration = Number.parseInt(process.env.TIMER_DURATION) || 20;
-    let calculatedTimer = timerDuration;
-    
-    if (state.lastBidAt) {
-      const timeSinceLastBid = Math.floor((Date.now() - new Date(state.lastBidAt).getTime()) / 1000);
-      calculatedTimer = Math.max(0, timerDuration - timeSinceLastBid);
-    } else if (state.auctionStartedAt) {
-      const timeSinceStart = Math.floor((Date.now() - new Date(state.auctionStartedAt).getTime()) / 1000);
-      calculatedTimer = Math.max(0, timerDuration - timeSinceStart);
-    }
+    // The countdown is persisted as a server deadline (or remainingMs while paused)
+    const remainingMs = getPersistedRemainingMs(state.timer);
+    const timer = {
+      running: Boolean(state.timer?.deadline) && !state.isPaused,
+      deadline: state.timer?.deadline || null,
+      remainingMs,
+      durationMs: state.timer?.durationMs ?? null,
+      value: Math.ceil(remainingMs / 1000),
+      serverTime: new Date()
+    };
+
+    // Clients render a single "raise" button from nextBid
+    const hasBids = !!state.currentHighBid.team;
 
     res.json({ 
       success: true, 
       state,
-      timerValue: calculatedTimer,
-      isActive: state.isActive
+      timerValue: timer.value,
+      timer,
+      isActive: state.isActive,
+      bidIncrements: sortLadder(req.tournament.settings.bidIncrements),
+      nextBid: getNextBid(req.tournament.settings.bidIncrements, state.currentHighBid.amount, hasBids)
     });
   } catch (error) {
     console.error('Get auction state error:', error);
@@ -64,14 +76,17 @@ router.get('/state', async (req, res) => {
   }
 });
 
-// Get bid history for a player
+// Get bid history for a player; voided bids (undone sales, reset rounds) are listed separately under voidedBids
 router.get('/bids/:playerId', async (req, res) => {
   try {
-    const bids = await Bid.find({ player: req.params.playerId })
+    const allBids = await Bid.find({ tournament: req.tournament._id, player: req.params.playerId })
       .populate('team', 'teamName')
       .sort({ timestamp: -1 });
 
-    res.json({ success: true, bids });
+    const bids = allBids.filter(bid => !bid.voided);
+    const voidedBids = allBids.filter(bid => bid.voided);
+
+    res.json({ success: true, bids, voidedBids });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -80,13 +95,14 @@ router.get('/bids/:playerId', async (req, res) => {
 // Get auction statistics
 router.get('/stats', async (req, res) => {
   try {
-    const totalPlayers = await Player.countDocuments();
-    const soldPlayers = await Player.countDocuments({ status: 'SOLD' });
-    const unsoldPlayers = await Player.countDocuments({ status: 'UNSOLD' });
+    const tournament = req.tournament._id;
+    const totalPlayers = await Player.countDocuments({ tournament });
+    const soldPlayers = await Player.countDocuments({ tournament, status: 'SOLD' });
+    const unsoldPlayers = await Player.countDocuments({ tournament, status: 'UNSOLD' });
     
-    const totalBids = await Bid.countDocuments();
+    const totalBids = await Bid.countDocuments({ tournament, voided: { $ne: true } });
     
-    const highestSale = await Player.findOne({ status: 'SOLD' })
+    const highestSale = await Player.findOne({ tournament, status: 'SOLD' })
       .sort({ soldPrice: -1 })
       .populate('soldTo', 'teamName');
 
@@ -105,4 +121,92 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Browse the auction event log (oldest first)
+router.get('/events', requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    const { type, player, team, since } = req.query;
+    const limit = Math.min(Number.parseInt(req.query.limit) || 200, 1000);
+
+    const filter = { tournament: req.tournament._id };
+    if (type) filter.type = type;
+    if (player) filter.player = player;
+    if (team) filter.team = team;
+    if (since) filter.timestamp = { $gt: new Date(since) };
+
+    const events = await AuctionEvent.find(filter)
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(limit)
+      .populate('player', 'name')
+      .populate('team', 'teamName');
+
+    res.json({ success: true, count: events.length, events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Rebuild teams, purses and sold players from the event log, optionally up to a point in time.
+// Differences from the live data are listed for dispute resolution.
+router.get('/replay', requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    const tournament = req.tournament._id;
+    const filter = { tournament };
+    if (req.query.until) {
+      const until = new Date(req.query.until);
+      if (Number.isNaN(until.getTime())) {
+        return res.status(400).json({ success: false, message: 'until must be a valid date' });
+      }
+      filter.timestamp = { $lte: until };
+    }
+
+    const events = await AuctionEvent.find(filter).sort({ timestamp: 1, _id: 1 }).lean();
+    const replay = replayEvents(events, req.tournament.settings.initialBudget);
+
+    // Attach names for display
+    const [teams, players] = await Promise.all([
+      Team.find({ tournament }).select('teamName remainingPoints players'),
+      Player.find({ _id: { $in: replay.soldPlayers.map(sale => sale.player) } }).select('name')
+    ]);
+    const teamsById = new Map(teams.map(team => [team._id.toString(), team]));
+    const playerNames = new Map(players.map(player => [player._id.toString(), player.name]));
+
+    const rebuiltTeams = replay.teams.map(team => ({
+      ...team,
+      teamName: team.teamName || teamsById.get(team.team.toString())?.teamName || null,
+      players: team.players.map(entry => ({ ...entry, name: playerNames.get(entry.player.toString()) || null }))
+    }));
+
+    // Only meaningful against the full log
+    const discrepancies = [];
+    if (!req.query.until) {
+      for (const team of rebuiltTeams) {
+        const live = teamsById.get(team.team.toString());
+        if (!live) continue;
+        if (live.remainingPoints !== team.remainingPoints || live.players.length !== team.rosterSize) {
+          discrepancies.push({
+            team: team.team,
+            teamName: team.teamName,
+            replayed: { remainingPoints: team.remainingPoints, rosterSize: team.rosterSize },
+            live: { remainingPoints: live.remainingPoints, rosterSize: live.players.length }
+          });
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      eventCount: events.length,
+      until: req.query.until || null,
+      teams: rebuiltTeams,
+      soldPlayers: replay.soldPlayers.map(sale => ({
+        ...sale,
+        name: playerNames.get(sale.player.toString()) || null
+      })),
+      discrepancies
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const AdminUser = require('../models/AdminUser');
+const { signAdminToken, requireAdmin, requirePermission } = require('../middleware/auth');
+
+// Admin login - returns a signed token for REST and socket admin access
+router.post('/login', async (req, res) => {
+  try {
+    const username = req.body.username?.trim().toLowerCase();
+    const { password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ success: false, message: 'Username and password are required' });
+    }
+
+    const admin = await AdminUser.findOne({ username });
+    const isValidPassword = admin && admin.isActive && await admin.comparePassword(password);
+    if (!isValidPassword) {
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    res.json({
+      success: true,
+      token: signAdminToken(admin),
+      admin
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get the admin behind the current token
+router.get('/me', requireAdmin, (req, res) => {
+  res.json({ success: true, admin: req.admin });
+});
+
+// List admin accounts
+router.get('/admins', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admins = await AdminUser.find().sort({ username: 1 });
+    res.json({ success: true, admins });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create another admin account
+router.post('/admins', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const username = req.body.username?.trim();
+    const { password, name, role } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ success: false, message: 'Username and password are required' });
+    }
+
+    const existingAdmin = await AdminUser.findOne({ username: username.toLowerCase() });
+    if (existingAdmin) {
+      return res.status(400).json({ success: false, message: 'Username already exists' });
+    }
+
+    const admin = new AdminUser({ username, password, name, role }); // Password hashed by pre-save middleware
+    await admin.save();
+
+    res.status(201).json({ success: true, admin });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Change an admin's role or deactivate the account
+router.patch('/admins/:id', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admin = await AdminUser.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+
+    // Owners cannot lock themselves out
+    if (admin._id.equals(req.admin._id) && (req.body.role || req.body.isActive === false)) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role or deactivate yourself' });
+    }
+
+    if (req.body.role) admin.role = req.body.role;
+    if (req.body.isActive !== undefined) admin.isActive = !!req.body.isActive;
+    if (req.body.name !== undefined) admin.name = req.body.name;
+
+    await admin.save();
+
+    res.json({ success: true, message: 'Admin updated successfully', admin });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,71 @@
 const express = require('express');
 const router = express.Router();
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const Player = require('../models/Player');
+const Team = require('../models/Team');
 const { uploadPlayerPhoto, uploadToCloudinary } = require('../config/cloudinary');
+const { requirePermission } = require('../middleware/auth');
+const { readProfile } = require('../utils/playerProfile');
+const { adminActor, recordEvent } = require('../utils/auctionEvents');
+const { MATCH_KEYS, readCsv, resolveColumns, parseRow, getMatchKey, getMatchFilter } = require('../utils/playerImport');
 
 const populateSoldTo = 'soldTo';
 const populateSoldToFields = 'teamName';
 
-const buildPlayerFilter = ({ status, availability }) => {
-  const filter = {};
+// Review details stay between the admin and the registrant (see /registration-status)
+const publicFields = '-rejectionReason';
+
+// Players that made it through registration review (older players have no status)
+const APPROVED_FILTER = { $in: ['APPROVED', null] };
+
+// No 0/O or 1/I so codes can be read out over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const newReferenceCode = () => Array.from(crypto.randomBytes(8), byte => REFERENCE_ALPHABET[byte % 32]).join('');
+
+// Tags come as a JSON array or a comma-separated form field
+const readTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+};
+
+// Apply a review to the matching players of this tournament and return the ids it changed
+// (ids already reviewed, from another tournament or unknown are left out)
+const reviewRegistrations = async (req, filter, review) => {
+  const reviewedAt = new Date();
+  await Player.updateMany(
+    { ...filter, tournament: req.tournament._id },
+    { $set: { ...review, reviewedAt, reviewedBy: req.admin._id } }
+  );
+  return Player.find({
+    _id: filter._id,
+    tournament: req.tournament._id,
+    registrationStatus: review.registrationStatus,
+    reviewedAt
+  }).distinct('_id');
+};
+
+// One log entry per reviewed player
+const recordReviews = async (req, type, playerIds, payload = {}) => {
+  for (const playerId of playerIds) {
+    await recordEvent({
+      tournament: req.tournament._id,
+      type,
+      actor: adminActor(req.admin),
+      player: playerId,
+      payload
+    });
+  }
+};
+
+const emitToAdmins = (req, event, payload) => {
+  const io = req.app.get('io');
+  if (io) io.to(`tournament:${req.tournament._id}:admin`).emit(event, payload);
+};
+
+const buildPlayerFilter = (tournament, { status, availability }) => {
+  const filter = { tournament: tournament._id };
 
   if (status) {
     filter.status = status;
@@ -36,6 +91,11 @@ router.post('/register', uploadPlayerPhoto.single('photo'), async (req, res) =>
       });
     }
 
+    const profile = readProfile(req.body);
+    if (profile.errors.length > 0) {
+      return res.status(400).json({ success: false, message: profile.errors.map(error => error.message).join('; ') });
+    }
+
     // Upload photo to Cloudinary if provided
     let photoUrl = null;
     if (req.file) {
@@ -52,24 +112,34 @@ router.post('/register', uploadPlayerPhoto.single('photo'), async (req, res) =>
       }
     }
 
-    // Create player
+    // Create player; it stays out of the auction pool until an admin approves it
     const player = new Player({
+      tournament: req.tournament._id,
       name,
       category,
       photo: photoUrl || null,
-      basePrice: Number.parseInt(basePrice) || 30
+      basePrice: Number.parseInt(basePrice) || 30,
+      registrationStatus: 'PENDING',
+      referenceCode: newReferenceCode()
     });
+    player.set(profile.fields);
 
     await player.save();
 
+    emitToAdmins(req, 'registration:new', {
+      player: { _id: player._id, name: player.name, category: player.category, photo: player.photo }
+    });
+
     res.status(201).json({ 
       success: true, 
       message: 'Registration successful! Your profile will be reviewed by admin.',
+      referenceCode: player.referenceCode,
       player: {
         _id: player._id,
         name: player.name,
         category: player.category,
-        photo: player.photo
+        photo: player.photo,
+        registrationStatus: player.registrationStatus
       }
     });
   } catch (error) {
@@ -80,8 +150,10 @@ router.post('/register', uploadPlayerPhoto.single('photo'), async (req, res) =>
 // Get all registered players for admin/player management screens
 router.get('/all', async (req, res) => {
   try {
-    const filter = buildPlayerFilter(req.query);
-    const players = await Player.find(filter).populate(populateSoldTo, populateSoldToFields);
+    const filter = buildPlayerFilter(req.tournament, req.query);
+    const players = await Player.find(filter)
+      .select(publicFields)
+      .populate(populateSoldTo, populateSoldToFields);
     res.json({ success: true, players });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -91,14 +163,17 @@ router.get('/all', async (req, res) => {
 // Get players currently eligible for auction
 router.get('/auction-available', async (req, res) => {
   try {
-    const filter = buildPlayerFilter(req.query);
+    const filter = buildPlayerFilter(req.tournament, req.query);
     filter.availability = 'AVAILABLE';
+    filter.registrationStatus = APPROVED_FILTER;
 
     if (!filter.status) {
       filter.status = 'UNSOLD';
     }
 
-    const players = await Player.find(filter).populate(populateSoldTo, populateSoldToFields);
+    const players = await Player.find(filter)
+      .select(publicFields)
+      .populate(populateSoldTo, populateSoldToFields);
     res.json({ success: true, players });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -108,23 +183,166 @@ router.get('/auction-available', async (req, res) => {
 // Get players using legacy route semantics for auction-facing clients
 router.get('/', async (req, res) => {
   try {
-    const filter = buildPlayerFilter(req.query);
+    const filter = buildPlayerFilter(req.tournament, req.query);
 
     if (!filter.availability) {
       filter.availability = 'AVAILABLE';
     }
+    filter.registrationStatus = APPROVED_FILTER;
+
+    const players = await Player.find(filter)
+      .select(publicFields)
+      .populate(populateSoldTo, populateSoldToFields);
+    res.json({ success: true, players });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Registrant looks up their review status with the reference code from registration
+router.get('/registration-status/:referenceCode', async (req, res) => {
+  try {
+    const player = await Player.findOne({
+      tournament: req.tournament._id,
+      referenceCode: String(req.params.referenceCode).trim().toUpperCase()
+    });
+
+    if (!player) {
+      return res.status(404).json({ success: false, message: 'No registration found for this reference code' });
+    }
+
+    res.json({
+      success: true,
+      registration: {
+        name: player.name,
+        category: player.category,
+        status: player.registrationStatus,
+        rejectionReason: player.rejectionReason,
+        reviewedAt: player.reviewedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Registrations for review (PENDING by default)
+router.get('/registrations', requirePermission('players:manage'), async (req, res) => {
+  try {
+    const status = req.query.status || 'PENDING';
+    const players = await Player.find({
+      tournament: req.tournament._id,
+      registrationStatus: status,
+      referenceCode: { $exists: true }
+    })
+      .select('+referenceCode')
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, players });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Approve registrations in bulk; approved players join the auction pool
+router.post('/registrations/approve', requirePermission('players:manage'), async (req, res) => {
+  try {
+    const { playerIds } = req.body;
+    if (!Array.isArray(playerIds) || playerIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'playerIds must be a non-empty array' });
+    }
+
+    const approved = await reviewRegistrations(
+      req,
+      { _id: { $in: playerIds }, registrationStatus: { $in: ['PENDING', 'REJECTED'] } },
+      { registrationStatus: 'APPROVED', rejectionReason: null }
+    );
+    await recordReviews(req, 'REGISTRATION_APPROVED', approved);
+
+    emitToAdmins(req, 'registration:reviewed', { status: 'APPROVED', playerIds: approved });
+
+    res.json({
+      success: true,
+      message: `${approved.length} registration(s) approved`,
+      approved: approved.length,
+      skipped: playerIds.length - approved.length
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Reject registrations in bulk with a reason the registrant can see
+router.post('/registrations/reject', requirePermission('players:manage'), async (req, res) => {
+  try {
+    const { playerIds } = req.body;
+    const reason = req.body.reason?.trim();
+    if (!Array.isArray(playerIds) || playerIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'playerIds must be a non-empty array' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A rejection reason is required' });
+    }
+
+    // Players already in or through the auction can't be rejected any more
+    const rejected = await reviewRegistrations(
+      req,
+      {
+        _id: { $in: playerIds },
+        registrationStatus: { $in: ['PENDING', 'APPROVED', null] },
+        status: 'UNSOLD',
+        isRetained: { $ne: true }
+      },
+      { registrationStatus: 'REJECTED', rejectionReason: reason }
+    );
+    await recordReviews(req, 'REGISTRATION_REJECTED', rejected, { reason });
+
+    emitToAdmins(req, 'registration:reviewed', { status: 'REJECTED', playerIds: rejected });
+
+    res.json({
+      success: true,
+      message: `${rejected.length} registration(s) rejected`,
+      rejected: rejected.length,
+      skipped: playerIds.length - rejected.length
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
 
-    const players = await Player.find(filter).populate(populateSoldTo, populateSoldToFields);
+// Contact details of every player (admin-only; hidden from all other player responses)
+router.get('/contacts', requirePermission('players:manage'), async (req, res) => {
+  try {
+    const players = await Player.find({ tournament: req.tournament._id })
+      .select('name category +contact.phone +contact.email')
+      .sort({ name: 1 });
     res.json({ success: true, players });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+router.get('/:id/contact', requirePermission('players:manage'), async (req, res) => {
+  try {
+    const player = await Player.findOne({ _id: req.params.id, tournament: req.tournament._id })
+      .select('name +contact.phone +contact.email');
+
+    if (!player) {
+      return res.status(404).json({ success: false, message: 'Player not found' });
+    }
+
+    res.json({ success: true, contact: player.contact });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get single player
 router.get('/:id', async (req, res) => {
   try {
-    const player = await Player.findById(req.params.id).populate('soldTo', 'teamName');
+    const player = await Player.findOne({ _id: req.params.id, tournament: req.tournament._id })
+      .select(publicFields)
+      .populate('soldTo', 'teamName');
     
     if (!player) {
       return res.status(404).json({ success: false, message: 'Player not found' });
@@ -137,9 +355,30 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create single player
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('players:manage'), async (req, res) => {
   try {
-    const player = new Player(req.body);
+    const profile = readProfile(req.body);
+    if (profile.errors.length > 0) {
+      return res.status(400).json({ success: false, message: profile.errors.map(error => error.message).join('; ') });
+    }
+
+    // Only descriptive fields: status, sale, retention and review fields have their own paths
+    const { name, category, photo, basePrice, availability } = req.body;
+    const player = new Player({ tournament: req.tournament._id, name, category, photo, availability });
+    if (basePrice !== undefined) player.basePrice = Number.parseInt(basePrice);
+    if (req.body.isOverseas !== undefined) {
+      player.isOverseas = req.body.isOverseas === true || req.body.isOverseas === 'true';
+    }
+    if (req.body.externalCode) player.externalCode = String(req.body.externalCode).trim() || undefined;
+    if (req.body.tags !== undefined) player.tags = readTags(req.body.tags);
+    if (req.body.previousTeam) {
+      const previousTeam = await Team.findOne({ _id: req.body.previousTeam, tournament: req.tournament._id });
+      if (!previousTeam) {
+        return res.status(400).json({ success: false, message: 'Previous team not found in this tournament' });
+      }
+      player.previousTeam = previousTeam._id;
+    }
+    player.set(profile.fields);
     await player.save();
     res.status(201).json({ success: true, player });
   } catch (error) {
@@ -148,9 +387,9 @@ router.post('/', async (req, res) => {
 });
 
 // Update player
-router.put('/:id', uploadPlayerPhoto.single('photo'), async (req, res) => {
+router.put('/:id', requirePermission('players:manage'), uploadPlayerPhoto.single('photo'), async (req, res) => {
   try {
-    const player = await Player.findById(req.params.id);
+    const player = await Player.findOne({ _id: req.params.id, tournament: req.tournament._id });
     
     if (!player) {
       return res.status(404).json({ success: false, message: 'Player not found' });
@@ -160,6 +399,42 @@ router.put('/:id', uploadPlayerPhoto.single('photo'), async (req, res) => {
     if (req.body.name) player.name = req.body.name;
     if (req.body.category) player.category = req.body.category;
     if (req.body.basePrice) player.basePrice = Number.parseInt(req.body.basePrice);
+    if (req.body.isOverseas !== undefined) {
+      player.isOverseas = req.body.isOverseas === true || req.body.isOverseas === 'true';
+    }
+    if (req.body.externalCode !== undefined) {
+      player.externalCode = String(req.body.externalCode).trim() || undefined;
+    }
+    const profile = readProfile(req.body);
+    if (profile.errors.length > 0) {
+      return res.status(400).json({ success: false, message: profile.errors.map(error => error.message).join('; ') });
+    }
+
+    // A sold player's jersey number must be free in their team
+    const jerseyNumber = profile.fields.jerseyNumber;
+    if (player.soldTo && jerseyNumber != null && jerseyNumber !== player.jerseyNumber) {
+      const teammate = await Player.findOne({ _id: { $ne: player._id }, soldTo: player.soldTo, jerseyNumber });
+      if (teammate) {
+        return res.status(400).json({ success: false, message: `Jersey #${jerseyNumber} is already worn by ${teammate.name}` });
+      }
+    }
+    player.set(profile.fields);
+
+    if (req.body.tags !== undefined) {
+      player.tags = readTags(req.body.tags);
+    }
+    if (req.body.previousTeam !== undefined) {
+      // Empty value clears it; otherwise it must be a team of this tournament
+      if (!req.body.previousTeam || req.body.previousTeam === 'null') {
+        player.previousTeam = null;
+      } else {
+        const previousTeam = await Team.findOne({ _id: req.body.previousTeam, tournament: req.tournament._id });
+        if (!previousTeam) {
+          return res.status(400).json({ success: false, message: 'Previous team not found in this tournament' });
+        }
+        player.previousTeam = previousTeam._id;
+      }
+    }
 
     // Update photo if provided
     if (req.file) {
@@ -180,9 +455,9 @@ router.put('/:id', uploadPlayerPhoto.single('photo'), async (req, res) => {
 });
 
 // Delete player
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('players:manage'), async (req, res) => {
   try {
-    const player = await Player.findById(req.params.id);
+    const player = await Player.findOne({ _id: req.params.id, tournament: req.tournament._id });
     
     if (!player) {
       return res.status(404).json({ success: false, message: 'Player not found' });
@@ -200,9 +475,9 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Toggle player availability for auction
-router.patch('/:id/availability', async (req, res) => {
+router.patch('/:id/availability', requirePermission('players:manage'), async (req, res) => {
   try {
-    const player = await Player.findById(req.params.id);
+    const player = await Player.findOne({ _id: req.params.id, tournament: req.tournament._id });
     
     if (!player) {
       return res.status(404).json({ success: false, message: 'Player not found' });
@@ -267,101 +542,152 @@ const csvUpload = multer({
   }
 });
 
-router.post('/bulk-upload', csvUpload.single('csvFile'), async (req, res) => {
+// Bulk import via CSV. Rows are matched to existing players by a natural key and updated,
+// otherwise inserted; each row is saved on its own so one bad row doesn't sink the file.
+// Files without the key column (e.g. the plain name/category/photo/basePrice sheet) only insert.
+// Form fields: dryRun ('true' = report only), matchBy (externalCode | namePhone),
+// columnMap (JSON { field: 'CSV header' } for sheets with their own headings)
+router.post('/bulk-upload', requirePermission('players:manage'), csvUpload.single('csvFile'), async (req, res) => {
+  const filePath = req.file?.path;
+
   try {
-    console.log('CSV Upload - File received:', req.file);
-    
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
     }
 
-    const players = [];
-    const filePath = req.file.path;
-    console.log('CSV Upload - Reading file:', filePath);
-
-    // Helper function to normalize category
-    const normalizeCategory = (category) => {
-      const normalized = category.trim();
-      // Map common variations to valid enum values
-      const categoryMap = {
-        'batsman': 'Batsman',
-        'batter': 'Batsman',
-        'bowler': 'Bowler',
-        'all-rounder': 'All-Rounder',
-        'allrounder': 'All-Rounder',
-        'wicket-keeper': 'Wicket-Keeper',
-        'wicketkeeper': 'Wicket-Keeper',
-        'keeper': 'Wicket-Keeper'
-      };
-      
-      const lowerCategory = normalized.toLowerCase();
-      return categoryMap[lowerCategory] || normalized;
-    };
-
-    // Parse CSV
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        console.log('CSV Upload - Row parsed:', row);
-        
-        const category = row.category || row.Category;
-        const normalizedCategory = normalizeCategory(category);
-        
-        // Skip rows with invalid categories like #N/A
-        if (normalizedCategory === '#N/A' || !normalizedCategory) {
-          console.log('CSV Upload - Skipping row with invalid category:', row.name);
-          return;
-        }
-        
-        players.push({
-          name: row.name || row.Name,
-          category: normalizedCategory,
-          photo: row.photo || row.Photo || 'https://res.cloudinary.com/dz8q0fb8m/image/upload/v1772197979/defaultPlayer_kad3xb.png',
-          basePrice: Number.parseInt(row.basePrice || row['Base Price']) || 5
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const matchBy = req.body.matchBy || 'externalCode';
+    if (!MATCH_KEYS.includes(matchBy)) {
+      return res.status(400).json({ success: false, message: `matchBy must be one of: ${MATCH_KEYS.join(', ')}` });
+    }
+
+    let columnMap = {};
+    if (req.body.columnMap) {
+      try {
+        columnMap = typeof req.body.columnMap === 'string' ? JSON.parse(req.body.columnMap) : req.body.columnMap;
+      } catch (error) {
+        return res.status(400).json({ success: false, message: 'columnMap must be a JSON object' });
+      }
+    }
+
+    let csvData;
+    try {
+      csvData = await readCsv(filePath);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'CSV parsing error: ' + error.message });
+    }
+
+    const { columns, errors: columnErrors } = resolveColumns(csvData.headers, columnMap);
+    const keyColumn = matchBy === 'externalCode' ? 'externalCode' : 'phone';
+    const upsert = Boolean(columns[keyColumn]);
+    for (const field of ['name', 'category']) {
+      if (!columns[field]) {
+        columnErrors.push(`No column for ${field}; add one or map it in columnMap`);
+      }
+    }
+    if (columnErrors.length > 0) {
+      return res.status(400).json({ success: false, message: columnErrors.join('; '), columns });
+    }
+
+    const summary = { total: csvData.rows.length, inserted: 0, updated: 0, skipped: 0 };
+    const rows = [];
+    const errors = [];
+    const seenKeys = new Map();
+
+    for (const [index, row] of csvData.rows.entries()) {
+      const rowNumber = index + 2; // Row 1 is the header
+      const { values, errors: rowErrors } = parseRow(row, columns);
+
+      const key = upsert ? getMatchKey(values, matchBy) : null;
+      if (upsert && !key) {
+        rowErrors.push({
+          field: keyColumn,
+          error: matchBy === 'externalCode' ? 'Player code is required' : 'Name and phone are required'
         });
-      })
-      .on('end', async () => {
-        try {
-          console.log('CSV Upload - Total players parsed:', players.length);
-          
-          if (players.length === 0) {
-            fs.unlinkSync(filePath);
-            return res.status(400).json({ success: false, message: 'No valid players found in CSV' });
+      } else if (key && seenKeys.has(key)) {
+        rowErrors.push({ field: keyColumn, error: `Same player as row ${seenKeys.get(key)}` });
+      } else if (key) {
+        seenKeys.set(key, rowNumber);
+      }
+
+      let player = null;
+      if (rowErrors.length === 0 && upsert) {
+        player = await Player.findOne(getMatchFilter(req.tournament._id, values, matchBy));
+
+        if (player?.status === 'IN_AUCTION') {
+          rowErrors.push({ field: null, error: `${player.name} is in auction right now` });
+        } else if (player?.status === 'SOLD') {
+          // Profile details can change after a sale, the auction terms can't
+          if (values.category && values.category !== player.category) {
+            rowErrors.push({ field: 'category', error: `${player.name} is already sold` });
+          }
+          if (values.basePrice !== undefined && values.basePrice !== player.basePrice) {
+            rowErrors.push({ field: 'basePrice', error: `${player.name} is already sold` });
           }
+          const jerseyNumber = values.jerseyNumber;
+          if (jerseyNumber != null && jerseyNumber !== player.jerseyNumber) {
+            const teammate = await Player.findOne({ _id: { $ne: player._id }, soldTo: player.soldTo, jerseyNumber });
+            if (teammate) {
+              rowErrors.push({ field: 'jerseyNumber', error: `Jersey #${jerseyNumber} is already worn by ${teammate.name}` });
+            }
+          }
+        }
+      }
+
+      const action = player ? 'update' : 'insert';
+      if (rowErrors.length === 0) {
+        if (!player) {
+          player = new Player({ tournament: req.tournament._id });
+        }
+        player.set(values);
+        const invalid = player.validateSync();
+        if (invalid) {
+          rowErrors.push(...Object.values(invalid.errors).map(error => ({ field: error.path, error: error.message })));
+        }
+      }
 
-          console.log('CSV Upload - Inserting players:', players.length);
-          const insertedPlayers = await Player.insertMany(players);
-          console.log('CSV Upload - Success:', insertedPlayers.length);
-          
-          // Delete uploaded file
-          fs.unlinkSync(filePath);
-          
-          res.json({ 
-            success: true, 
-            message: `${insertedPlayers.length} players uploaded successfully`,
-            players: insertedPlayers 
-          });
+      if (rowErrors.length === 0 && !dryRun) {
+        try {
+          await player.save();
         } catch (error) {
-          console.error('CSV Upload - Database error:', error);
-          // Clean up file on error
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
+          if (error.code === 11000) {
+            const field = Object.keys(error.keyPattern || {}).find(path => path !== 'tournament') || null;
+            rowErrors.push({ field, error: 'Clashes with another player in this tournament' });
+          } else {
+            rowErrors.push({ field: null, error: error.message });
           }
-          res.status(400).json({ success: false, message: error.message });
         }
-      })
-      .on('error', (error) => {
-        console.error('CSV Upload - Parsing error:', error);
-        // Clean up file on parsing error
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-        res.status(400).json({ success: false, message: 'CSV parsing error: ' + error.message });
-      });
+      }
+
+      if (rowErrors.length > 0) {
+        summary.skipped++;
+        errors.push(...rowErrors.map(rowError => ({ row: rowNumber, ...rowError })));
+        rows.push({ row: rowNumber, action: 'skip', name: values.name || null });
+        continue;
+      }
+
+      summary[action === 'insert' ? 'inserted' : 'updated']++;
+      rows.push({ row: rowNumber, action, name: player.name, playerId: dryRun && action === 'insert' ? null : player._id });
+    }
+
+    console.log(`📥 CSV import${dryRun ? ' (dry run)' : ''}: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped} skipped`);
 
+    res.json({
+      success: true,
+      dryRun,
+      matchBy: upsert ? matchBy : null,
+      message: `${dryRun ? 'Would insert' : 'Inserted'} ${summary.inserted}, ${dryRun ? 'update' : 'updated'} ${summary.updated}, skipped ${summary.skipped} of ${summary.total} rows`,
+      summary,
+      rows,
+      errors
+    });
   } catch (error) {
     console.error('CSV Upload - Server error:', error);
     res.status(500).json({ success: false, message: error.message });
+  } finally {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
   }
 });
 
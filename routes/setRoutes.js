@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const AuctionSet = require('../models/AuctionSet');
+const Player = require('../models/Player');
+const { requirePermission } = require('../middleware/auth');
+const { assignPlayersToSets } = require('../utils/auctionSets');
+
+const toNumberOrNull = (value) => (value === null || value === '' ? null : Number(value));
+
+// Pick the editable fields of a set from a request body
+const buildSetFields = (body = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.order !== undefined) fields.order = Number(body.order);
+  if (body.introSeconds !== undefined) fields.introSeconds = Number(body.introSeconds);
+  if (Array.isArray(body.players)) fields.players = body.players;
+
+  if (body.rules && typeof body.rules === 'object') {
+    const { rules } = body;
+    if (Array.isArray(rules.categories)) fields['rules.categories'] = rules.categories;
+    if (rules.minBasePrice !== undefined) fields['rules.minBasePrice'] = toNumberOrNull(rules.minBasePrice);
+    if (rules.maxBasePrice !== undefined) fields['rules.maxBasePrice'] = toNumberOrNull(rules.maxBasePrice);
+    if (Array.isArray(rules.tags)) fields['rules.tags'] = rules.tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+
+  return fields;
+};
+
+// Explicit members must be players of this tournament
+const findForeignPlayers = async (tournamentId, playerIds = []) => {
+  if (playerIds.length === 0) return [];
+  const found = await Player.find({ _id: { $in: playerIds }, tournament: tournamentId }).distinct('_id');
+  const foundIds = new Set(found.map(id => id.toString()));
+  return playerIds.filter(id => !foundIds.has(id.toString()));
+};
+
+// Get all sets in auction order
+router.get('/', requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    const sets = await AuctionSet.find({ tournament: req.tournament._id }).sort({ order: 1, name: 1 });
+    res.json({ success: true, sets });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Preview how the players still up for auction would be split across the sets
+router.get('/preview', requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    const [sets, players] = await Promise.all([
+      AuctionSet.find({ tournament: req.tournament._id }),
+      Player.find({
+        tournament: req.tournament._id,
+        status: { $ne: 'SOLD' },
+        isRetained: { $ne: true },
+        availability: { $in: ['AVAILABLE', null] },
+        registrationStatus: { $in: ['APPROVED', null] }
+      }).select('name category basePrice tags')
+    ]);
+
+    const { ordered, assigned, unassigned } = assignPlayersToSets(sets, players);
+
+    res.json({
+      success: true,
+      sets: ordered.map(set => ({
+        _id: set._id,
+        name: set.name,
+        order: set.order,
+        players: assigned.get(set.name)
+      })),
+      unassigned
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create set
+router.post('/', requirePermission('auction:control'), async (req, res) => {
+  try {
+    const fields = buildSetFields(req.body);
+    if (!fields.name) {
+      return res.status(400).json({ success: false, message: 'Set name is required' });
+    }
+
+    const foreign = await findForeignPlayers(req.tournament._id, fields.players);
+    if (foreign.length > 0) {
+      return res.status(400).json({ success: false, message: `Players not found in this tournament: ${foreign.join(', ')}` });
+    }
+
+    // New sets go to the end unless an order is given
+    if (fields.order === undefined) {
+      const last = await AuctionSet.findOne({ tournament: req.tournament._id }).sort({ order: -1 });
+      fields.order = last ? last.order + 1 : 0;
+    }
+
+    const set = new AuctionSet({ tournament: req.tournament._id });
+    set.set(fields);
+    await set.save();
+
+    res.status(201).json({ success: true, set });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A set with this name already exists' });
+    }
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update set
+router.put('/:id', requirePermission('auction:control'), async (req, res) => {
+  try {
+    const set = await AuctionSet.findOne({ _id: req.params.id, tournament: req.tournament._id });
+    if (!set) {
+      return res.status(404).json({ success: false, message: 'Set not found' });
+    }
+
+    const fields = buildSetFields(req.body);
+    if (fields.name === '') {
+      return res.status(400).json({ success: false, message: 'Set name is required' });
+    }
+
+    const foreign = await findForeignPlayers(req.tournament._id, fields.players);
+    if (foreign.length > 0) {
+      return res.status(400).json({ success: false, message: `Players not found in this tournament: ${foreign.join(', ')}` });
+    }
+
+    set.set(fields);
+    await set.save();
+
+    // A running auto auction keeps the sets it started with
+    res.json({ success: true, message: 'Set updated successfully', set });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A set with this name already exists' });
+    }
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Delete set
+router.delete('/:id', requirePermission('auction:control'), async (req, res) => {
+  try {
+    const set = await AuctionSet.findOneAndDelete({ _id: req.params.id, tournament: req.tournament._id });
+    if (!set) {
+      return res.status(404).json({ success: false, message: 'Set not found' });
+    }
+
+    res.json({ success: true, message: 'Set deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const Team = require('../models/Team');
+const TeamSession = require('../models/TeamSession');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const ProxyBid = require('../models/ProxyBid');
 const QRCode = require('qrcode');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
+const { getCompositionViolations } = require('../utils/auctionRules');
+const { requirePermission } = require('../middleware/auth');
+const { adminActor, recordEvent } = require('../utils/auctionEvents');
 
 // Get all teams
 router.get('/', async (req, res) => {
   try {
-    const teams = await Team.find()
+    const teams = await Team.find({ tournament: req.tournament._id })
       .select('-pin')
       .populate('players');
-    res.json({ success: true, teams });
+
+    // Retained players are also listed on their own
+    res.json({
+      success: true,
+      teams: teams.map(team => ({
+        ...team.toObject(),
+        retentions: team.players.filter(player => player.isRetained)
+      }))
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -20,7 +34,7 @@ router.get('/', async (req, res) => {
 // Download all teams info as PDF (for admin) - MUST come before /:id routes
 router.get('/download/all-teams', async (req, res) => {
   try {
-    const teams = await Team.find().populate('players');
+    const teams = await Team.find({ tournament: req.tournament._id }).populate('players');
     
     if (teams.length === 0) {
       return res.status(404).json({ success: false, message: 'No teams found' });
@@ -55,7 +69,7 @@ router.get('/download/all-teams', async (req, res) => {
     doc.moveDown(2);
 
     // Calculate initial budget once
-    const initialBudget = Number.parseInt(process.env.INITIAL_BUDGET) || 1000;
+    const initialBudget = req.tournament.settings.initialBudget;
 
     // Loop through each team
     teams.forEach((team, index) => {
@@ -196,7 +210,7 @@ router.get('/download/all-teams', async (req, res) => {
 // Get single team
 router.get('/:id', async (req, res) => {
   try {
-    const team = await Team.findById(req.params.id)
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id })
       .select('-pin')
       .populate('players');
     
@@ -216,13 +230,14 @@ router.get('/:id', async (req, res) => {
 // Generate QR code for team login
 router.get('/:id/qrcode', async (req, res) => {
   try {
-    const team = await Team.findById(req.params.id);
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
     
     if (!team) {
       return res.status(404).json({ success: false, message: 'Team not found' });
     }
 
     const loginData = {
+      tournamentId: req.tournament._id,
       teamId: team.teamId,
       teamName: team.teamName
     };
@@ -236,9 +251,9 @@ router.get('/:id/qrcode', async (req, res) => {
 });
 
 // Update team
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('teams:manage'), async (req, res) => {
   try {
-    const team = await Team.findById(req.params.id);
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
     
     if (!team) {
       return res.status(404).json({ success: false, message: 'Team not found' });
@@ -249,7 +264,11 @@ router.put('/:id', async (req, res) => {
     if (req.body.captainName) team.captainName = req.body.captainName;
     if (req.body.teamId) {
       // Check if new teamId already exists
-      const existingTeam = await Team.findOne({ teamId: req.body.teamId, _id: { $ne: team._id } });
+      const existingTeam = await Team.findOne({
+        tournament: req.tournament._id,
+        teamId: req.body.teamId,
+        _id: { $ne: team._id }
+      });
       if (existingTeam) {
         return res.status(400).json({ success: false, message: 'Team ID already exists' });
       }
@@ -263,6 +282,11 @@ router.put('/:id', async (req, res) => {
 
     await team.save();
 
+    // A new PIN signs out every device that logged in with the old one
+    if (req.body.pin) {
+      await TeamSession.revokeForTeam(team._id);
+    }
+
     res.json({ 
       success: true, 
       message: 'Team updated successfully',
@@ -281,9 +305,9 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete team
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('teams:manage'), async (req, res) => {
   try {
-    const team = await Team.findById(req.params.id);
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id });
     
     if (!team) {
       return res.status(404).json({ success: false, message: 'Team not found' });
@@ -294,6 +318,25 @@ router.delete('/:id', async (req, res) => {
     }
 
     await team.deleteOne();
+    await Promise.all([
+      WatchlistEntry.deleteMany({ team: team._id }),
+      ProxyBid.deleteMany({ team: team._id }),
+      TeamSession.deleteMany({ team: team._id })
+    ]);
+
+    // Signed-in devices of the deleted team are sent away
+    const io = req.app.get('io');
+    io.to(`team:${team._id}`).emit('auth:revoked', { message: 'Your team was deleted by the admin' });
+    io.in(`team:${team._id}`).disconnectSockets(true);
+
+    await recordEvent({
+      tournament: req.tournament._id,
+      type: 'TEAM_DELETED',
+      actor: adminActor(req.admin),
+      team: team._id,
+      payload: { teamName: team.teamName }
+    });
+
     res.json({ success: true, message: 'Team deleted successfully' });
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
@@ -303,7 +346,7 @@ router.delete('/:id', async (req, res) => {
 // Download team info as PDF
 router.get('/:id/download', async (req, res) => {
   try {
-    const team = await Team.findById(req.params.id).populate('players');
+    const team = await Team.findOne({ _id: req.params.id, tournament: req.tournament._id }).populate('players');
     
     if (!team) {
       return res.status(404).json({ success: false, message: 'Team not found' });
@@ -343,7 +386,7 @@ router.get('/:id/download', async (req, res) => {
     doc.roundedRect(40, boxY, 515, boxHeight, 5).fillAndStroke('#f0f9ff', '#3b82f6');
     
     // Calculate values with proper number parsing
-    const initialBudget = Number.parseInt(process.env.INITIAL_BUDGET) || 1000;
+    const initialBudget = req.tournament.settings.initialBudget;
     const remainingBudget = parsePrice(team.remainingPoints);
     const budgetSpent = initialBudget - remainingBudget;
     const playersBought = team.rosterSlotsFilled || 0;
@@ -375,11 +418,30 @@ router.get('/:id/download', async (req, res) => {
 
     doc.y = boxY + boxHeight + 25;
 
-    // Squad Players Section
-    doc.fontSize(18).font('Helvetica-Bold').fillColor('#1e3a8a').text('Squad Players', 40);
-    doc.moveDown(0.8);
+    // Squad Rules Section - flag squads that break the tournament's composition rules
+    const violations = getCompositionViolations(team.players, req.tournament.settings);
+    if (violations.length > 0) {
+      const warningY = doc.y;
+      const warningHeight = 30 + violations.length * 16;
+
+      doc.roundedRect(40, warningY, 515, warningHeight, 5).fillAndStroke('#fef2f2', '#dc2626');
+      doc.fillColor('#b91c1c').fontSize(12).font('Helvetica-Bold');
+      doc.text('Squad does not meet tournament rules', 60, warningY + 10, { width: 475 });
+
+      doc.fillColor('#7f1d1d').fontSize(10).font('Helvetica');
+      violations.forEach((violation, index) => {
+        doc.text(`• ${violation}`, 60, warningY + 28 + index * 16, { width: 475 });
+      });
+
+      doc.y = warningY + warningHeight + 20;
+    }
+
+    // Retained players get their own table above the auction buys
+    const retainedPlayers = team.players.filter(player => player.isRetained);
+    const auctionedPlayers = team.players.filter(player => !player.isRetained);
 
-    if (team.players && team.players.length > 0) {
+    // Draw a squad table at the current position
+    const drawPlayersTable = (players, priceHeader) => {
       // Enhanced table design
       const tableTop = doc.y;
       const colWidths = { no: 35, name: 180, category: 100, base: 85, sold: 95 };
@@ -395,12 +457,12 @@ router.get('/:id/download', async (req, res) => {
       doc.text('Player Name', startX + colWidths.no + 5, tableTop + 9, { width: colWidths.name });
       doc.text('Category', startX + colWidths.no + colWidths.name + 5, tableTop + 9, { width: colWidths.category });
       doc.text('Base Price', startX + colWidths.no + colWidths.name + colWidths.category, tableTop + 9, { width: colWidths.base, align: 'center' });
-      doc.text('Sold Price', startX + colWidths.no + colWidths.name + colWidths.category + colWidths.base, tableTop + 9, { width: colWidths.sold, align: 'center' });
+      doc.text(priceHeader, startX + colWidths.no + colWidths.name + colWidths.category + colWidths.base, tableTop + 9, { width: colWidths.sold, align: 'center' });
 
       doc.y = tableTop + 30;
 
       // Table Rows with improved styling
-      team.players.forEach((player, index) => {
+      players.forEach((player, index) => {
         const rowY = doc.y;
         const rowHeight = 28;
         
@@ -444,6 +506,21 @@ router.get('/:id/download', async (req, res) => {
 
         doc.y = currentRowY + rowHeight;
       });
+    };
+
+    if (retainedPlayers.length > 0) {
+      doc.fontSize(18).font('Helvetica-Bold').fillColor('#1e3a8a').text('Retained Players', 40);
+      doc.moveDown(0.8);
+      drawPlayersTable(retainedPlayers, 'Retained At');
+      doc.moveDown(1.5);
+    }
+
+    // Squad Players Section
+    doc.fontSize(18).font('Helvetica-Bold').fillColor('#1e3a8a').text('Squad Players', 40);
+    doc.moveDown(0.8);
+
+    if (auctionedPlayers.length > 0) {
+      drawPlayersTable(auctionedPlayers, 'Sold Price');
     } else {
       doc.fontSize(12).fillColor('#9ca3af').font('Helvetica').text('No players in squad yet.', { align: 'center' });
       doc.moveDown(2);
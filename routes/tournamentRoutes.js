@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const Tournament = require('../models/Tournament');
+const Team = require('../models/Team');
+const Player = require('../models/Player');
+const Bid = require('../models/Bid');
+const ProxyBid = require('../models/ProxyBid');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const AuctionState = require('../models/AuctionState');
+const AuctionSet = require('../models/AuctionSet');
+const TeamSession = require('../models/TeamSession');
+const { requirePermission } = require('../middleware/auth');
+const { recordEvent, adminActor } = require('../utils/auctionEvents');
+
+const buildSettings = (body = {}) => {
+  const settings = {};
+
+  if (body.initialBudget !== undefined) {
+    settings['settings.initialBudget'] = Number.parseInt(body.initialBudget);
+  }
+
+  if (body.maxSquadSize !== undefined) {
+    settings['settings.maxSquadSize'] = Number.parseInt(body.maxSquadSize);
+  }
+
+  if (body.minSquadSize !== undefined) {
+    settings['settings.minSquadSize'] = Number.parseInt(body.minSquadSize);
+  }
+
+  if (body.minBasePrice !== undefined) {
+    settings['settings.minBasePrice'] = Number.parseInt(body.minBasePrice);
+  }
+
+  if (Array.isArray(body.compositionRules)) {
+    settings['settings.compositionRules'] = body.compositionRules.map(rule => ({
+      category: rule.category,
+      min: Number(rule.min) || 0,
+      max: rule.max == null ? null : Number(rule.max)
+    }));
+  }
+
+  if (body.maxOverseas !== undefined) {
+    settings['settings.maxOverseas'] = body.maxOverseas == null ? null : Number.parseInt(body.maxOverseas);
+  }
+
+  if (Array.isArray(body.retentionSlabs)) {
+    settings['settings.retentionSlabs'] = body.retentionSlabs.map(Number);
+  }
+
+  if (body.rtmCardsPerTeam !== undefined) {
+    settings['settings.rtmCardsPerTeam'] = Number.parseInt(body.rtmCardsPerTeam);
+  }
+
+  if (body.rtmOfferSeconds !== undefined) {
+    settings['settings.rtmOfferSeconds'] = Number.parseInt(body.rtmOfferSeconds);
+  }
+
+  if (body.acceleratedRound && typeof body.acceleratedRound === 'object') {
+    const round = body.acceleratedRound;
+    if (round.enabled !== undefined) {
+      settings['settings.acceleratedRound.enabled'] = round.enabled === true || round.enabled === 'true';
+    }
+    if (round.basePriceCutPercent !== undefined) {
+      settings['settings.acceleratedRound.basePriceCutPercent'] = Number(round.basePriceCutPercent);
+    }
+    if (round.timerSeconds !== undefined) {
+      settings['settings.acceleratedRound.timerSeconds'] = Number.parseInt(round.timerSeconds);
+    }
+    if (round.maxNominationsPerTeam !== undefined) {
+      settings['settings.acceleratedRound.maxNominationsPerTeam'] =
+        round.maxNominationsPerTeam == null ? null : Number.parseInt(round.maxNominationsPerTeam);
+    }
+  }
+
+  if (body.timer && typeof body.timer === 'object') {
+    if (body.timer.openingSeconds !== undefined) {
+      settings['settings.timer.openingSeconds'] = Number.parseInt(body.timer.openingSeconds);
+    }
+    if (body.timer.bidResetSeconds !== undefined) {
+      settings['settings.timer.bidResetSeconds'] = Number.parseInt(body.timer.bidResetSeconds);
+    }
+  }
+
+  if (body.sealedRound && typeof body.sealedRound === 'object') {
+    if (body.sealedRound.durationSeconds !== undefined) {
+      settings['settings.sealedRound.durationSeconds'] = Number.parseInt(body.sealedRound.durationSeconds);
+    }
+    if (body.sealedRound.tieRule !== undefined) {
+      settings['settings.sealedRound.tieRule'] = body.sealedRound.tieRule;
+    }
+  }
+
+  if (Array.isArray(body.bidIncrements)) {
+    settings['settings.bidIncrements'] = body.bidIncrements.map(tier => ({
+      upTo: tier.upTo == null ? null : Number(tier.upTo),
+      increment: Number(tier.increment)
+    }));
+  }
+
+  return settings;
+};
+
+// Get all tournaments
+router.get('/', async (req, res) => {
+  try {
+    const tournaments = await Tournament.find().sort({ createdAt: -1 });
+    res.json({ success: true, tournaments });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get single tournament with counts
+router.get('/:id', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+
+    const [teams, players, soldPlayers] = await Promise.all([
+      Team.countDocuments({ tournament: tournament._id }),
+      Player.countDocuments({ tournament: tournament._id }),
+      Player.countDocuments({ tournament: tournament._id, status: 'SOLD' })
+    ]);
+
+    res.json({
+      success: true,
+      tournament,
+      counts: { teams, players, soldPlayers }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create tournament
+router.post('/', requirePermission('tournaments:manage'), async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Tournament name is required' });
+    }
+
+    const tournament = new Tournament({
+      name,
+      season: req.body.season?.trim() || null
+    });
+    tournament.set(buildSettings(req.body.settings));
+    await tournament.save();
+
+    // Every tournament gets its own auction state document
+    await AuctionState.create({ tournament: tournament._id });
+
+    res.status(201).json({ success: true, tournament });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update tournament details and settings
+router.put('/:id', requirePermission('tournaments:manage'), async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+
+    if (req.body.name) tournament.name = req.body.name;
+    if (req.body.season !== undefined) tournament.season = req.body.season;
+    if (req.body.status) tournament.status = req.body.status;
+    tournament.set(buildSettings(req.body.settings));
+
+    await tournament.save();
+
+    res.json({ success: true, message: 'Tournament updated successfully', tournament });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Delete tournament and everything scoped to it, except its append-only event log
+router.delete('/:id', requirePermission('tournaments:manage'), async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+
+    const auctionState = await AuctionState.findOne({ tournament: tournament._id });
+    if (auctionState?.isActive) {
+      return res.status(409).json({ success: false, message: 'Cannot delete a tournament with a live auction' });
+    }
+
+    const teamIds = await Team.find({ tournament: tournament._id }).distinct('_id');
+
+    await Promise.all([
+      Player.deleteMany({ tournament: tournament._id }),
+      Team.deleteMany({ tournament: tournament._id }),
+      Bid.deleteMany({ tournament: tournament._id }),
+      ProxyBid.deleteMany({ tournament: tournament._id }),
+      WatchlistEntry.deleteMany({ tournament: tournament._id }),
+      AuctionState.deleteMany({ tournament: tournament._id }),
+      AuctionSet.deleteMany({ tournament: tournament._id }),
+      TeamSession.deleteMany({ tournament: tournament._id })
+    ]);
+    await tournament.deleteOne();
+
+    // Nothing of the deleted tournament may keep ticking (set intros, RTM or sealed deadlines)
+    req.app.get('auction').dropTournament(tournament._id);
+
+    await recordEvent({
+      tournament: tournament._id,
+      type: 'TOURNAMENT_DELETED',
+      actor: adminActor(req.admin),
+      payload: { name: tournament.name, season: tournament.season }
+    });
+
+    // Team devices still signed in to the deleted tournament are sent away
+    if (teamIds.length > 0) {
+      const teamRooms = teamIds.map(id => `team:${id}`);
+      const io = req.app.get('io');
+      io.to(teamRooms).emit('auth:revoked', { message: 'This tournament was deleted' });
+      io.in(teamRooms).disconnectSockets(true);
+    }
+
+    res.json({ success: true, message: 'Tournament deleted successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const { requireTeam } = require('../middleware/auth');
+const { getMaxAllowedBid } = require('../utils/auctionRules');
+
+// Watchlists belong to the team whose session token is presented
+router.use(requireTeam);
+
+const PLAYER_FIELDS = 'name photo category basePrice isOverseas status soldTo soldPrice';
+
+const loadWatchlist = (team) => WatchlistEntry.find({ team: team._id })
+  .populate('player', PLAYER_FIELDS)
+  .sort({ priority: 1, createdAt: 1 });
+
+// Keep every device of the team in sync; nobody else is in this room
+const emitWatchlist = async (req) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  const entries = await loadWatchlist(req.team);
+  io.to(`team:${req.team._id}`).emit('watchlist:updated', { entries });
+};
+
+// Get the team's watchlist, most wanted first
+router.get('/', async (req, res) => {
+  try {
+    const entries = await loadWatchlist(req.team);
+    res.json({ success: true, entries });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Can the team still afford its plan? Players already sold to someone else drop out of it.
+router.get('/plan', async (req, res) => {
+  try {
+    const { settings } = req.tournament;
+    const team = req.team;
+    const entries = (await loadWatchlist(team)).filter(entry => entry.player);
+
+    const targets = entries.filter(entry => entry.player.status !== 'SOLD');
+    const openSlots = Math.max(0, settings.maxSquadSize - team.rosterSlotsFilled);
+
+    // Walk the list by priority; each buy reserves base price for the slots still needed after it
+    let spent = 0;
+    let bought = 0;
+    const players = targets.map(entry => {
+      const price = entry.plannedMax ?? entry.player.basePrice;
+      const slotsToReserve = Math.max(0, settings.minSquadSize - team.rosterSlotsFilled - bought - 1);
+      const fits = bought < openSlots &&
+        spent + price + slotsToReserve * settings.minBasePrice <= team.remainingPoints;
+      if (fits) {
+        spent += price;
+        bought += 1;
+      }
+      return {
+        player: entry.player,
+        priority: entry.priority,
+        plannedPrice: price,
+        fitsBudget: fits,
+        cumulativeSpend: fits ? spent : null
+      };
+    });
+
+    const plannedTotal = targets.reduce((sum, entry) => sum + (entry.plannedMax ?? entry.player.basePrice), 0);
+    const slotsStillNeeded = Math.max(0, settings.minSquadSize - team.rosterSlotsFilled - targets.length);
+    const requiredTotal = plannedTotal + slotsStillNeeded * settings.minBasePrice;
+
+    res.json({
+      success: true,
+      plan: {
+        remainingPoints: team.remainingPoints,
+        maxAllowedBid: getMaxAllowedBid(team, settings),
+        openSlots,
+        plannedCount: targets.length,
+        plannedTotal,
+        // Base-price money for the minimum squad slots the plan doesn't cover
+        reserveForOtherSlots: slotsStillNeeded * settings.minBasePrice,
+        affordable: targets.length <= openSlots && requiredTotal <= team.remainingPoints,
+        shortfall: Math.max(0, requiredTotal - team.remainingPoints),
+        players,
+        // Already sold elsewhere: kept for reference only
+        missed: entries
+          .filter(entry => entry.player.status === 'SOLD' && !entry.player.soldTo?.equals(team._id))
+          .map(entry => entry.player)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Add a player or update priority, planned max and notes
+router.put('/:playerId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.playerId)) {
+      return res.status(404).json({ success: false, message: 'Player not found' });
+    }
+    const player = await Player.findOne({ _id: req.params.playerId, tournament: req.tournament._id });
+    if (!player) {
+      return res.status(404).json({ success: false, message: 'Player not found' });
+    }
+
+    const update = {};
+    if (req.body.priority !== undefined) update.priority = Number.parseInt(req.body.priority);
+    if (req.body.plannedMax !== undefined) {
+      update.plannedMax = req.body.plannedMax === null || req.body.plannedMax === '' ? null : Number(req.body.plannedMax);
+    }
+    if (req.body.notes !== undefined) update.notes = String(req.body.notes);
+
+    const entry = await WatchlistEntry.findOneAndUpdate(
+      { team: req.team._id, player: player._id },
+      { $set: update, $setOnInsert: { tournament: req.tournament._id } },
+      { upsert: true, new: true, runValidators: true }
+    ).populate('player', PLAYER_FIELDS);
+
+    await emitWatchlist(req);
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Remove a player from the watchlist
+router.delete('/:playerId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.playerId)) {
+      return res.status(404).json({ success: false, message: 'Player is not on the watchlist' });
+    }
+    const entry = await WatchlistEntry.findOneAndDelete({ team: req.team._id, player: req.params.playerId });
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Player is not on the watchlist' });
+    }
+
+    await emitWatchlist(req);
+    res.json({ success: true, message: 'Removed from watchlist' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -21,6 +21,9 @@ const io = require('socket.io')(server, {
   }
 });
 
+// Make socket.io available to REST routes (e.g. to kick revoked team sessions)
+app.set('io', io);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -28,24 +31,33 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Import routes
+const { loadTournament } = require('./middleware/tournament');
+const authRoutes = require('./routes/authRoutes');
+const tournamentRoutes = require('./routes/tournamentRoutes');
 const teamRoutes = require('./routes/teamRoutes');
 const playerRoutes = require('./routes/playerRoutes');
 const auctionRoutes = require('./routes/auctionRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const setRoutes = require('./routes/setRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
 
-// Use routes
-app.use('/api/teams', teamRoutes);
-app.use('/api/players', playerRoutes);
-app.use('/api/auction', auctionRoutes);
-app.use('/api/admin', adminRoutes);
+// Use routes (everything except tournament management is scoped to one tournament)
+app.use('/api/auth', authRoutes);
+app.use('/api/tournaments', tournamentRoutes);
+app.use('/api/tournaments/:tournamentId/teams', loadTournament, teamRoutes);
+app.use('/api/tournaments/:tournamentId/players', loadTournament, playerRoutes);
+app.use('/api/tournaments/:tournamentId/auction', loadTournament, auctionRoutes);
+app.use('/api/tournaments/:tournamentId/admin', loadTournament, adminRoutes);
+app.use('/api/tournaments/:tournamentId/sets', loadTournament, setRoutes);
+app.use('/api/tournaments/:tournamentId/watchlist', loadTournament, watchlistRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date() });
 });
 
-// WebSocket logic
-require('./socket/auctionSocket')(io);
+// WebSocket logic (REST routes reach the auction engine through app.get('auction'))
+app.set('auction', require('./socket/auctionSocket')(io));
 
 const PORT = process.env.PORT || 5000;
 
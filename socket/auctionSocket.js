@@ -1,31 +1,111 @@
+const mongoose = require('mongoose');
 const Player = require('../models/Player');
 const Team = require('../models/Team');
 const Bid = require('../models/Bid');
 const AuctionState = require('../models/AuctionState');
+const Tournament = require('../models/Tournament');
+const AuctionSet = require('../models/AuctionSet');
+const ProxyBid = require('../models/ProxyBid');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const AdminUser = require('../models/AdminUser');
+const TeamSession = require('../models/TeamSession');
+const { verifyAdminToken, logPermissionDenied } = require('../middleware/auth');
+const { SOCKET_EVENT_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { TEAM_POLICY, applyFailure, getWaitMs, getIpWaitMs, recordIpFailure } = require('../utils/loginThrottle');
+const {
+  getIncrement,
+  getNextBid,
+  isOnLadder,
+  getMaxAllowedBid,
+  getCompositionBlocker
+} = require('../utils/auctionRules');
+const { newRoundKey, settleSale, voidSale, redoSale, reconcileSales } = require('../utils/saleSettlement');
+const { adminActor, teamActor, systemActor, recordEvent } = require('../utils/auctionEvents');
+const { assignPlayersToSets } = require('../utils/auctionSets');
+const { createTimerService } = require('../utils/auctionTimer');
+
+// Fisher-Yates shuffle helper
+const shuffle = (arr) => {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+// Queues are built ahead of time, so a player can be sold, retained, rejected or
+// made unavailable before their turn comes
+const isAuctionable = (player) =>
+  Boolean(player) &&
+  player.status !== 'SOLD' &&
+  !player.isRetained &&
+  player.availability !== 'UNAVAILABLE' &&
+  (!player.registrationStatus || player.registrationStatus === 'APPROVED');
+
+// Auction engine state, one entry per tournament so auctions can run side by side
+const engines = new Map();
+
+const getEngine = (tournamentId) => {
+  const key = tournamentId.toString();
+  if (!engines.has(key)) {
+    engines.set(key, {
+      playerQueue: [],
+      isAutoAuction: false,
+      unsoldPlayers: [],
+      isTeamSummaryShowing: false,
+      bigScreenSockets: new Set(),
+      // Set-based auto auction state
+      currentSetName: null,
+      remainingSetOrder: [],
+      setQueues: {},
+      // Snapshot of each set taken when the auto auction started: name -> { introSeconds, minBasePrice, maxBasePrice }
+      setDetails: {},
+      setIntroTimer: null,
+      inUnsoldRound: false,
+      isRandomMode: false,
+      // Restored after a restart between players: waits for admin:resumeAuction
+      awaitingResume: false,
+      // Accelerated unsold round: { open, candidates, nominations: Map(teamId -> playerIds), maxPerTeam }
+      nominationWindow: null,
+      inAcceleratedRound: false,
+      // Seconds a new bid puts back on the clock for the current player
+      bidResetSeconds: null,
+      // Sealed tiebreaker in progress: { roundKey, playerId, minBid, eligible: Set, bids: Map(teamId -> bid), deadline, timer }
+      sealedRound: null,
+      // Proxy auto-bidding in progress, and whether a newer bid arrived meanwhile
+      proxyBidding: false,
+      proxyRerun: false,
+      // Pending Right-to-Match offer: { roundKey, playerId, teamId, winningTeamId, amount, expiresAt, timer }
+      rtmOffer: null,
+      // The clock ran out and the current player is being sold (mirrors AuctionState.biddingClosed)
+      closingRound: false,
+    });
+  }
+  return engines.get(key);
+};
 
-// Set definitions for auto auction (basePrice thresholds)
-const SET_CONFIG = {
-  APP: { label: 'Set A++', basePrice: 200 },
-  A: { label: 'Set A', basePrice: 150 },
-  B: { label: 'Set B', basePrice: 100 },
-  C: { label: 'Set C', basePrice: 50 },
-  D: { label: 'Set D', basePrice: 20 },
+// How long a dropped team socket has to reconnect before the team shows as offline
+const TEAM_RECONNECT_GRACE_MS = (Number.parseInt(process.env.TEAM_RECONNECT_GRACE_SECONDS) || 15) * 1000;
+
+// Client IP for login throttling (X-Forwarded-For is only trusted behind a known proxy)
+const getClientIp = (socket) => {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
 };
-const SET_ORDER = ['APP', 'A', 'B', 'C', 'D'];
-
-let auctionTimer = null;
-let timerValue = Number.parseInt(process.env.TIMER_DURATION) || 20;
-let playerQueue = [];
-let isAutoAuction = false;
-let unsoldPlayers = [];
-let isTeamSummaryShowing = false;
-// Set-based auto auction state
-let currentSetName = null;
-let remainingSetOrder = [];
-let setQueues = {};
-let setIntroTimer = null;
-let inUnsoldRound = false;
-let isRandomMode = false;
+
+// Socket.io room names
+const tournamentRoom = (tournamentId) => `tournament:${tournamentId}`;
+const adminRoom = (tournamentId) => `tournament:${tournamentId}:admin`;
+const bigScreenRoom = (tournamentId) => `tournament:${tournamentId}:bigscreen`;
+
+// Bid window when the current player's tournament settings aren't loaded (e.g. right after a restart)
+const DEFAULT_BID_RESET_SECONDS = 30;
+
+const BIDDING_CLOSED_MESSAGE = 'Bidding closed: the player is being sold';
 
 const emitAdminError = (socket, message) => {
   socket.emit('admin:error', { message });
@@ -35,26 +115,61 @@ module.exports = (io) => {
   // Store connected clients
   const connectedTeams = new Map();
   const adminSockets = new Set();
-  const bigScreenSockets = new Set();
+  // Pending "mark offline" timers for teams whose socket dropped, keyed by team id
+  const teamOfflineTimers = new Map();
+  // Teams with a PIN check in flight, so parallel guesses cannot skip the backoff
+  const pendingPinChecks = new Set();
+
+  // Emit helpers scoped to a tournament's rooms
+  const toTournament = (tournamentId) => io.to(tournamentRoom(tournamentId));
+  const toAdmins = (tournamentId) => io.to(adminRoom(tournamentId));
+
+  // One authoritative countdown per tournament; clients get the server deadline with every change
+  const timers = createTimerService({
+    onChange: (tournamentId, timer) => {
+      toTournament(tournamentId).emit(timer.reason === 'reset' ? 'timer:reset' : 'timer:update', timer);
+      if (timer.reason === 'tick') return;
+
+      // The deadline alone is enough to rebuild the countdown, so ticks aren't written
+      AuctionState.updateOne(
+        { tournament: tournamentId },
+        { $set: { timer: { deadline: timer.deadline, remainingMs: timer.running ? null : timer.remainingMs, durationMs: timer.durationMs } } }
+      ).catch(error => console.error('Persist timer error:', error));
+    },
+    onExpire: (tournamentId) => handleAutoSold(io, tournamentId)
+  });
 
-  // Cleanup orphaned "IN_AUCTION" players on server start
-  (async () => {
+  // Restore persisted engines and cleanup orphaned "IN_AUCTION" players on server start
+  const startup = (async () => {
     try {
-      const auctionState = await AuctionState.findOne();
-      const currentPlayerId = auctionState?.currentPlayer?.toString();
-      
+      const repaired = await reconcileSales();
+      if (repaired > 0) {
+        console.log(`Repaired ${repaired} half-applied sale record(s)`);
+      }
+
+      const auctionStates = await AuctionState.find();
+      const currentPlayerIds = new Set(
+        auctionStates
+          .map(state => state.currentPlayer?.toString())
+          .filter(Boolean)
+      );
+
+      for (const auctionState of auctionStates) {
+        await restoreEngineState(auctionState);
+      }
+
       // Find all players marked as IN_AUCTION
       const playersInAuction = await Player.find({ status: 'IN_AUCTION' });
-      
+
       for (const player of playersInAuction) {
-        // If player is IN_AUCTION but not the current auction player, reset them
-        if (!currentPlayerId || player._id.toString() !== currentPlayerId) {
+        // If player is IN_AUCTION but not the current player of their tournament, reset them
+        if (!currentPlayerIds.has(player._id.toString())) {
           console.log(`Cleaning up orphaned IN_AUCTION player: ${player.name}`);
           player.status = 'UNSOLD';
           await player.save();
         }
       }
-      
+
       console.log('Auction state cleanup completed');
     } catch (error) {
       console.error('Auction cleanup error:', error);
@@ -64,60 +179,164 @@ module.exports = (io) => {
   io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
+    // Every admin:* event (except login) needs a valid admin token and a role allowed to fire it
+    socket.use(async ([event], next) => {
+      if (!event.startsWith('admin:') || event === 'admin:login') return next();
+
+      try {
+        const session = socket.data.adminSession;
+        if (!session || session.expiresAt <= Date.now()) {
+          adminSockets.delete(socket.id);
+          return emitAdminError(socket, 'Admin session expired. Please log in again');
+        }
+
+        // Reload so role changes and deactivations apply immediately
+        const admin = await AdminUser.findById(session.adminId);
+        if (!admin || !admin.isActive) {
+          adminSockets.delete(socket.id);
+          return emitAdminError(socket, 'Admin account is no longer active');
+        }
+
+        const permission = SOCKET_EVENT_PERMISSIONS[event];
+        if (!permission || !hasPermission(admin.role, permission)) {
+          logPermissionDenied(admin, event);
+          return emitAdminError(socket, `Your role cannot perform this action (${event})`);
+        }
+
+        next();
+      } catch (error) {
+        console.error('Admin permission check error:', error);
+        emitAdminError(socket, 'Permission check failed');
+      }
+    });
+
     // Handle team login
-    socket.on('team:login', async ({ teamId, pin }) => {
+    socket.on('team:login', async ({ tournamentId, teamId, pin }) => {
+      const ip = getClientIp(socket);
+      let pinCheckKey = null;
+
       try {
-        const team = await Team.findOne({ teamId });
-        
+        const ipWaitMs = getIpWaitMs(ip);
+        if (ipWaitMs > 0) {
+          return emitLoginBlocked(socket, 'Too many failed attempts from this device', ipWaitMs);
+        }
+
+        const joinedTournamentId = await joinTournament(socket, tournamentId);
+        if (!joinedTournamentId) {
+          return socket.emit('auth:error', { message: 'Invalid tournament' });
+        }
+
+        const team = await Team.findOne({ tournament: joinedTournamentId, teamId });
+
         if (!team) {
+          handleIpFailure(ip, joinedTournamentId);
           return socket.emit('auth:error', { message: 'Invalid team ID' });
         }
 
+        const teamWaitMs = getWaitMs(team.pinLogin);
+        if (teamWaitMs > 0) {
+          const reason = team.pinLogin.lockedUntil > new Date()
+            ? 'Team is locked after too many wrong PINs'
+            : 'Too many wrong PINs';
+          return emitLoginBlocked(socket, reason, teamWaitMs);
+        }
+
+        pinCheckKey = team._id.toString();
+        if (pendingPinChecks.has(pinCheckKey)) {
+          return emitLoginBlocked(socket, 'Another login for this team is in progress', 1000);
+        }
+        pendingPinChecks.add(pinCheckKey);
+
         const isValidPin = await team.comparePin(pin);
         if (!isValidPin) {
-          return socket.emit('auth:error', { message: 'Invalid PIN' });
+          const lockedOut = applyFailure(team.pinLogin, TEAM_POLICY);
+          await team.save();
+          handleIpFailure(ip, joinedTournamentId);
+
+          if (lockedOut) {
+            console.warn(`🔒 Team ${team.teamName} locked out after repeated wrong PINs (last from ${ip})`);
+            toAdmins(joinedTournamentId).emit('team:lockedOut', {
+              teamId: team._id,
+              teamName: team.teamName,
+              lockedUntil: team.pinLogin.lockedUntil,
+              ip
+            });
+            return emitLoginBlocked(socket, 'Team is locked after too many wrong PINs', getWaitMs(team.pinLogin));
+          }
+
+          return socket.emit('auth:error', {
+            message: 'Invalid PIN',
+            attemptsRemaining: TEAM_POLICY.maxAttempts - team.pinLogin.failures,
+            retryAfter: Math.ceil(getWaitMs(team.pinLogin) / 1000)
+          });
         }
 
-        // Update team status
-        team.isOnline = true;
-        team.lastActive = new Date();
-        await team.save();
+        // Correct PIN clears the failure history
+        team.pinLogin = { failures: 0, retryAt: null, lockedUntil: null };
 
-        // Store connection
-        connectedTeams.set(socket.id, team._id);
-        socket.join(`team:${team._id}`);
+        // Issue a reconnect token so a dropped connection can resume without the PIN
+        const { session, token } = await TeamSession.issue(team);
+        await completeTeamLogin(socket, team, session, token);
 
-        // Send team data
-        const teamData = await Team.findById(team._id).populate('players');
-        socket.emit('auth:success', {
-          team: {
-            id: teamData._id,
-            teamName: teamData.teamName,
-            captainName: teamData.captainName,
-            logo: teamData.logo,
-            remainingPoints: teamData.remainingPoints,
-            rosterSlotsFilled: teamData.rosterSlotsFilled,
-            players: teamData.players
-          }
-        });
+      } catch (error) {
+        console.error('Login error:', error);
+        socket.emit('auth:error', { message: 'Login failed' });
+      } finally {
+        if (pinCheckKey) pendingPinChecks.delete(pinCheckKey);
+      }
+    });
+
+    // Resume a team session after a reconnect using the token from auth:success
+    socket.on('team:resume', async ({ sessionToken } = {}) => {
+      try {
+        const session = await TeamSession.findActiveByToken(sessionToken);
+        const team = session && await Team.findById(session.team);
+        if (!team) {
+          return socket.emit('auth:error', { message: 'Session expired. Please log in with your PIN', code: 'SESSION_INVALID' });
+        }
 
-        // Notify admin and big screen
-        broadcastTeamStatus();
+        const joinedTournamentId = await joinTournament(socket, team.tournament);
+        if (!joinedTournamentId) {
+          return socket.emit('auth:error', { message: 'Invalid tournament' });
+        }
 
-        // Send current auction state to team
-        console.log('📤 Sending auction state to team after login:', teamData.teamName);
-        sendAuctionState(socket);
+        session.lastSeenAt = new Date();
+        await session.save();
+
+        await completeTeamLogin(socket, team, session, sessionToken);
 
       } catch (error) {
-        console.error('Login error:', error);
+        console.error('Resume session error:', error);
         socket.emit('auth:error', { message: 'Login failed' });
       }
     });
 
+    // Explicit logout ends the session for good
+    socket.on('team:logout', async () => {
+      try {
+        if (socket.data.teamSessionId) {
+          await TeamSession.findByIdAndUpdate(socket.data.teamSessionId, { revokedAt: new Date() });
+        }
+
+        const teamId = connectedTeams.get(socket.id);
+        await leaveTournament(socket);
+        if (teamId) {
+          await markTeamOffline(teamId);
+        }
+        socket.emit('auth:loggedOut');
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    });
+
     // Handle team request for current auction state
-    socket.on('team:getAuctionState', async () => {
+    socket.on('team:getAuctionState', async ({ tournamentId } = {}) => {
       try {
         console.log('📡 Team requesting auction state...');
+        // Unauthenticated clients pick the tournament they want to follow
+        if (!socket.data.tournamentId && !(await joinTournament(socket, tournamentId))) {
+          return socket.emit('auth:error', { message: 'Invalid tournament' });
+        }
         // Send current auction state to any team (authenticated or not)
         await sendAuctionState(socket);
       } catch (error) {
@@ -126,43 +345,79 @@ module.exports = (io) => {
     });
 
     // Handle admin login
-    socket.on('admin:login', ({ password }) => {
-      // Simple password check (in production, use proper auth)
-      if (password === process.env.ADMIN_PASSWORD || password === 'admin123') {
+    socket.on('admin:login', async ({ tournamentId, token }) => {
+      try {
+        // Same signed token the REST admin routes accept (from POST /api/auth/login)
+        const session = await verifyAdminToken(token);
+        if (!session) {
+          return socket.emit('auth:error', { message: 'Invalid or expired admin token' });
+        }
+
+        const joinedTournamentId = await joinTournament(socket, tournamentId);
+        if (!joinedTournamentId) {
+          return socket.emit('auth:error', { message: 'Invalid tournament' });
+        }
+
+        socket.data.adminSession = {
+          adminId: session.admin._id,
+          username: session.admin.username,
+          expiresAt: session.expiresAt
+        };
         adminSockets.add(socket.id);
-        socket.join('admin');
-        socket.emit('auth:success', { role: 'admin' });
-        
+        socket.join(adminRoom(joinedTournamentId));
+        socket.emit('auth:success', {
+          role: 'admin',
+          adminRole: session.admin.role,
+          tournamentId: joinedTournamentId,
+          username: session.admin.username
+        });
+
         // Send current auction state
         sendAuctionState(socket);
-      } else {
-        socket.emit('auth:error', { message: 'Invalid admin password' });
+      } catch (error) {
+        console.error('Admin login error:', error);
+        socket.emit('auth:error', { message: 'Login failed' });
       }
     });
 
     // Handle big screen connection
-    socket.on('bigscreen:connect', () => {
-      bigScreenSockets.add(socket.id);
-      socket.join('bigscreen');
-      socket.emit('connected', { message: 'Big screen connected' });
-      
-      // Send current auction state
-      sendAuctionState(socket);
+    socket.on('bigscreen:connect', async ({ tournamentId } = {}) => {
+      try {
+        const joinedTournamentId = await joinTournament(socket, tournamentId);
+        if (!joinedTournamentId) {
+          return socket.emit('auth:error', { message: 'Invalid tournament' });
+        }
+
+        getEngine(joinedTournamentId).bigScreenSockets.add(socket.id);
+        socket.join(bigScreenRoom(joinedTournamentId));
+        socket.emit('connected', { message: 'Big screen connected' });
+
+        // Send current auction state
+        sendAuctionState(socket);
+      } catch (error) {
+        console.error('Big screen connect error:', error);
+      }
     });
 
     // Handle big screen team summary status
     socket.on('bigscreen:summaryStarting', () => {
-      isTeamSummaryShowing = true;
+      const tournamentId = socket.data.tournamentId;
+      if (!tournamentId) return;
+
+      getEngine(tournamentId).isTeamSummaryShowing = true;
       console.log('Team summary started - blocking new auctions');
       // Notify admin that summary is showing
-      io.to('admin').emit('teamSummary:showing', { isShowing: true });
+      toAdmins(tournamentId).emit('teamSummary:showing', { isShowing: true });
     });
 
     socket.on('bigscreen:summaryComplete', () => {
-      isTeamSummaryShowing = false;
+      const tournamentId = socket.data.tournamentId;
+      if (!tournamentId) return;
+
+      getEngine(tournamentId).isTeamSummaryShowing = false;
       console.log('Team summary complete - allowing new auctions');
       // Notify admin that summary is complete
-      io.to('admin').emit('teamSummary:showing', { isShowing: false });
+      toAdmins(tournamentId).emit('teamSummary:showing', { isShowing: false });
     });
 
     // Handle bid placement
@@ -172,107 +427,246 @@ module.exports = (io) => {
         if (!teamId) {
           return socket.emit('bid:error', { message: 'Not authenticated' });
         }
+        const tournamentId = socket.data.tournamentId;
 
-        const auctionState = await AuctionState.findOne();
-        if (!auctionState || !auctionState.isActive || auctionState.isPaused) {
-          return socket.emit('bid:error', { message: 'Auction not active' });
+        const result = await placeBid(io, tournamentId, teamId, amount);
+        if (result.outpaced) {
+          return emitBidOutpaced(socket, tournamentId, result.ladder);
+        }
+        if (result.error) {
+          return socket.emit('bid:error', result.error);
         }
 
-        const team = await Team.findById(teamId);
-        const player = await Player.findById(auctionState.currentPlayer);
+        socket.emit('bid:success');
+        await runProxyBids(io, tournamentId);
 
-        if (!player || player.status !== 'IN_AUCTION') {
-          return socket.emit('bid:error', { message: 'Player not in auction' });
+      } catch (error) {
+        console.error('Bid error:', error);
+        socket.emit('bid:error', { message: 'Failed to place bid' });
+      }
+    });
+
+    // Private auto-bid ceiling for a player (the current one by default, or any player still to come)
+    socket.on('proxy:set', async ({ playerId, ceiling } = {}) => {
+      try {
+        const teamId = connectedTeams.get(socket.id);
+        if (!teamId) {
+          return socket.emit('proxy:error', { message: 'Not authenticated' });
         }
+        const tournamentId = socket.data.tournamentId;
 
-        // Check if team has reached max squad size
-        const MAX_SQUAD_SIZE = parseInt(process.env.MAX_SQUAD_SIZE) || 11;
-        if (team.rosterSlotsFilled >= MAX_SQUAD_SIZE) {
-          return socket.emit('bid:error', { 
-            message: `Squad full! Maximum ${MAX_SQUAD_SIZE} players allowed` 
-          });
+        if (!playerId) {
+          const auctionState = await AuctionState.findOne({ tournament: tournamentId });
+          playerId = auctionState?.isActive ? auctionState.currentPlayer : null;
+        }
+        const player = playerId && mongoose.isValidObjectId(playerId)
+          ? await Player.findOne({ _id: playerId, tournament: tournamentId })
+          : null;
+        if (!player || player.status === 'SOLD' || player.isRetained) {
+          return socket.emit('proxy:error', { message: 'Player is not up for auction' });
         }
 
-        // Validate bid amount
-        const currentHighBid = auctionState.currentHighBid.amount;
-        const hasNoBids = !auctionState.currentHighBid.team; // No bids placed yet
-        
-        // Allow base price bid if no bids yet, otherwise must be at least 5L higher
-        if (hasNoBids) {
-          if (amount < currentHighBid) {
-            return socket.emit('bid:error', { 
-              message: `Bid must be at least ₹${currentHighBid}L` 
-            });
-          }
-        } else {
-          // Must be higher than current bid (any increment allowed)
-          if (amount <= currentHighBid) {
-            return socket.emit('bid:error', { 
-              message: `Bid must be higher than ₹${currentHighBid}L` 
-            });
-          }
+        ceiling = Number(ceiling);
+        if (!Number.isInteger(ceiling) || ceiling < player.basePrice) {
+          return socket.emit('proxy:error', { message: `Ceiling must be a whole amount of at least ₹${player.basePrice}L` });
         }
 
+        const proxy = await ProxyBid.findOneAndUpdate(
+          { team: teamId, player: player._id },
+          { $set: { tournament: tournamentId, ceiling, exhaustedAt: null } },
+          { upsert: true, new: true }
+        );
 
-        // Check if team has enough points
-        if (amount > team.remainingPoints) {
-          return socket.emit('bid:error', { 
-            message: `Insufficient points. You have ₹${team.remainingPoints}L remaining` 
-          });
+        // Every device of the team sees the ceiling, nobody else does
+        io.to(`team:${teamId}`).emit('proxy:saved', { playerId: player._id, ceiling: proxy.ceiling });
+        console.log(`Proxy ceiling set by team ${teamId} for ${player.name}`);
+
+        if (player.status === 'IN_AUCTION') {
+          await runProxyBids(io, tournamentId);
         }
+      } catch (error) {
+        console.error('Proxy set error:', error);
+        socket.emit('proxy:error', { message: 'Failed to save auto-bid' });
+      }
+    });
 
-        // Prevent team from bidding against themselves
-        if (!hasNoBids && auctionState.currentHighBid.team && 
-            auctionState.currentHighBid.team.toString() === team._id.toString()) {
-          return socket.emit('bid:error', { 
-            message: 'You are already the highest bidder' 
-          });
+    socket.on('proxy:cancel', async ({ playerId } = {}) => {
+      try {
+        const teamId = connectedTeams.get(socket.id);
+        if (!teamId) {
+          return socket.emit('proxy:error', { message: 'Not authenticated' });
+        }
+        if (!mongoose.isValidObjectId(playerId)) {
+          return socket.emit('proxy:error', { message: 'Player is required' });
         }
 
-        // Record bid
-        const bid = new Bid({
-          player: player._id,
-          team: team._id,
-          amount: amount,
-          isWinning: false
+        await ProxyBid.deleteOne({ team: teamId, player: playerId });
+        io.to(`team:${teamId}`).emit('proxy:cancelled', { playerId });
+      } catch (error) {
+        console.error('Proxy cancel error:', error);
+        socket.emit('proxy:error', { message: 'Failed to cancel auto-bid' });
+      }
+    });
+
+    socket.on('proxy:list', async () => {
+      try {
+        const teamId = connectedTeams.get(socket.id);
+        if (!teamId) {
+          return socket.emit('proxy:error', { message: 'Not authenticated' });
+        }
+
+        const proxies = await ProxyBid.find({ team: teamId })
+          .populate('player', 'name photo category basePrice status')
+          .sort({ createdAt: 1 });
+        socket.emit('proxy:list', {
+          proxies: proxies.map(proxy => ({
+            player: proxy.player,
+            ceiling: proxy.ceiling,
+            exhausted: Boolean(proxy.exhaustedAt)
+          }))
         });
-        await bid.save();
+      } catch (error) {
+        console.error('Proxy list error:', error);
+        socket.emit('proxy:error', { message: 'Failed to load auto-bids' });
+      }
+    });
 
-        // Update auction state
-        auctionState.currentHighBid = {
-          amount: amount,
-          team: team._id
-        };
-        auctionState.lastBidAt = new Date();
-        await auctionState.save();
+    // Previous team answers its Right-to-Match offer
+    socket.on('rtm:respond', async ({ accept } = {}) => {
+      try {
+        const teamId = connectedTeams.get(socket.id);
+        if (!teamId) {
+          return socket.emit('rtm:error', { message: 'Not authenticated' });
+        }
+        const tournamentId = socket.data.tournamentId;
 
-        // Reset timer
-        resetTimer(io);
+        const offer = getEngine(tournamentId).rtmOffer;
+        if (!offer || !offer.teamId.equals(teamId)) {
+          return socket.emit('rtm:error', { message: 'No Right-to-Match offer pending for your team' });
+        }
 
-        // Broadcast bid to all clients with full team data
-        const bidData = {
-          amount: amount,
-          teamName: team.teamName,
-          teamId: team._id.toString(),
-          team: {
-            _id: team._id,
-            teamName: team.teamName,
-            logo: team.logo,
-            purseBudget: team.purseBudget,
-            remainingPoints: team.remainingPoints
-          },
-          timestamp: new Date()
-        };
+        const team = await Team.findById(teamId);
+        await resolveRtmOffer(io, tournamentId, !!accept, team);
+      } catch (error) {
+        console.error('RTM response error:', error);
+        socket.emit('rtm:error', { message: 'Failed to process Right-to-Match response' });
+      }
+    });
 
-        io.emit('bid:new', bidData);
-        socket.emit('bid:success');
+    // One hidden bid per eligible team during a sealed round
+    socket.on('sealed:submit', async ({ amount } = {}) => {
+      try {
+        const teamId = connectedTeams.get(socket.id);
+        if (!teamId) {
+          return socket.emit('sealed:error', { message: 'Not authenticated' });
+        }
+        const tournamentId = socket.data.tournamentId;
+        const engine = getEngine(tournamentId);
+        const round = engine.sealedRound;
+        const key = teamId.toString();
+
+        if (!round) {
+          return socket.emit('sealed:error', { message: 'No sealed round in progress' });
+        }
+        if (!round.eligible.has(key)) {
+          return socket.emit('sealed:error', { message: 'Your team is not part of this sealed round' });
+        }
+        if (round.bids.has(key)) {
+          return socket.emit('sealed:error', { message: 'You have already submitted your sealed bid' });
+        }
+
+        amount = Number(amount);
+        if (!Number.isInteger(amount) || amount < round.minBid) {
+          return socket.emit('sealed:error', { message: `Sealed bid must be a whole amount of at least ₹${round.minBid}L` });
+        }
+
+        const [team, tournament] = await Promise.all([Team.findById(teamId), Tournament.findById(tournamentId)]);
+        const maxBid = Math.min(team.remainingPoints, getMaxAllowedBid(team, tournament.settings));
+        if (amount > maxBid) {
+          return socket.emit('sealed:error', { message: `Maximum you can bid is ₹${maxBid}L` });
+        }
+
+        // Re-check after the awaits: the round may have closed or a duplicate submit got in first
+        if (engine.sealedRound !== round || round.bids.has(key) || round.saving.has(key)) {
+          return socket.emit('sealed:error', { message: 'Sealed round is closed' });
+        }
+
+        // Only a stored bid counts at the reveal
+        const submittedAt = new Date();
+        round.saving.add(key);
+        let bid;
+        try {
+          bid = await Bid.create({
+            tournament: tournamentId,
+            player: round.playerId,
+            team: team._id,
+            amount,
+            type: 'SEALED',
+            timestamp: submittedAt
+          });
+        } finally {
+          round.saving.delete(key);
+        }
+
+        if (engine.sealedRound !== round) {
+          await Bid.updateOne(
+            { _id: bid._id },
+            { $set: { voided: true, voidReason: 'Sealed round closed before the bid was stored', voidedAt: new Date() } }
+          );
+          return socket.emit('sealed:error', { message: 'Sealed round is closed' });
+        }
+        round.bids.set(key, { amount, submittedAt });
 
-        console.log(`New bid: ₹${amount}L by ${team.teamName} for ${player.name}`);
+        socket.emit('sealed:accepted', { amount, submittedAt });
+        // Everyone sees who has submitted, never how much
+        toTournament(tournamentId).emit('sealed:submitted', {
+          teamId: team._id,
+          teamName: team.teamName,
+          submittedCount: round.bids.size,
+          eligibleCount: round.eligible.size
+        });
 
+        if (round.bids.size === round.eligible.size) {
+          await revealSealedRound(io, tournamentId);
+        }
       } catch (error) {
-        console.error('Bid error:', error);
-        socket.emit('bid:error', { message: 'Failed to place bid' });
+        console.error('Sealed bid error:', error);
+        socket.emit('sealed:error', { message: 'Failed to submit sealed bid' });
+      }
+    });
+
+    // Team picks which unsold players to bring back in the accelerated round (replaces earlier picks)
+    socket.on('nominations:submit', ({ playerIds } = {}) => {
+      const teamId = connectedTeams.get(socket.id);
+      if (!teamId) {
+        return socket.emit('nominations:error', { message: 'Not authenticated' });
+      }
+      const tournamentId = socket.data.tournamentId;
+
+      const nominationRound = getEngine(tournamentId).nominationWindow;
+      if (!nominationRound || !nominationRound.open) {
+        return socket.emit('nominations:error', { message: 'Nomination window is closed' });
+      }
+      if (!Array.isArray(playerIds)) {
+        return socket.emit('nominations:error', { message: 'playerIds must be a list' });
+      }
+
+      const candidates = new Set(nominationRound.candidates);
+      const picks = [...new Set(playerIds.map(String))].filter(id => candidates.has(id));
+      if (nominationRound.maxPerTeam && picks.length > nominationRound.maxPerTeam) {
+        return socket.emit('nominations:error', {
+          message: `You can nominate at most ${nominationRound.maxPerTeam} player(s)`
+        });
       }
+
+      nominationRound.nominations.set(teamId.toString(), picks);
+      socket.emit('nominations:accepted', { playerIds: picks });
+
+      const nominated = new Set([...nominationRound.nominations.values()].flat());
+      toAdmins(tournamentId).emit('autoAuction:nominationsUpdate', {
+        teamsSubmitted: nominationRound.nominations.size,
+        nominatedCount: nominated.size
+      });
     });
 
     // Admin controls
@@ -280,14 +674,23 @@ module.exports = (io) => {
       if (!adminSockets.has(socket.id)) {
         return emitAdminError(socket, 'Unauthorized');
       }
+      const tournamentId = socket.data.tournamentId;
 
       // Block starting new auction if team summary is showing
-      if (isTeamSummaryShowing) {
+      if (getEngine(tournamentId).isTeamSummaryShowing) {
         return emitAdminError(socket, 'Please wait for team summary to complete');
       }
 
+      if (getEngine(tournamentId).rtmOffer) {
+        return emitAdminError(socket, 'Please wait for the Right-to-Match decision');
+      }
+
+      if (getEngine(tournamentId).sealedRound) {
+        return emitAdminError(socket, 'Please wait for the sealed round to be revealed');
+      }
+
       try {
-        const player = await Player.findById(playerId);
+        const player = await Player.findOne({ _id: playerId, tournament: tournamentId });
         if (!player || player.status === 'SOLD') {
           return emitAdminError(socket, 'Player not available');
         }
@@ -297,8 +700,12 @@ module.exports = (io) => {
           return emitAdminError(socket, 'Player is marked as unavailable for auction');
         }
 
+        if (player.registrationStatus && player.registrationStatus !== 'APPROVED') {
+          return emitAdminError(socket, `Player registration is ${player.registrationStatus.toLowerCase()}`);
+        }
+
         // Use shared function
-        await startAuctionForPlayer(io, playerId);
+        await startAuctionForPlayer(io, tournamentId, playerId, sessionActor(socket));
 
       } catch (error) {
         console.error('Start auction error:', error);
@@ -306,28 +713,133 @@ module.exports = (io) => {
       }
     });
 
+    // Settle the current player with one hidden bid per eligible team (optionally only the given teams)
+    socket.on('admin:startSealedRound', async ({ teamIds, durationSeconds } = {}) => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+      const engine = getEngine(tournamentId);
+
+      try {
+        if (engine.sealedRound) {
+          return emitAdminError(socket, 'A sealed round is already in progress');
+        }
+        if (engine.rtmOffer) {
+          return emitAdminError(socket, 'Please wait for the Right-to-Match decision');
+        }
+
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId })
+          .populate('currentPlayer')
+          .populate('currentHighBid.team', 'teamName');
+        if (!auctionState || !auctionState.isActive || auctionState.isPaused || !auctionState.currentPlayer) {
+          return emitAdminError(socket, 'A live, unpaused auction is needed for a sealed round');
+        }
+
+        const tournament = await Tournament.findById(tournamentId);
+        const { settings } = tournament;
+        const player = auctionState.currentPlayer;
+        // Sealed bids must at least match the standing bid (or the opening price)
+        const minBid = auctionState.currentHighBid.amount;
+
+        const teamFilter = { tournament: tournamentId };
+        if (Array.isArray(teamIds) && teamIds.length > 0) teamFilter._id = { $in: teamIds };
+        const teams = await Team.find(teamFilter);
+
+        const eligible = [];
+        for (const team of teams) {
+          if (team.rosterSlotsFilled >= settings.maxSquadSize) continue;
+          if (Math.min(team.remainingPoints, getMaxAllowedBid(team, settings)) < minBid) continue;
+          const squad = await Player.find({ _id: { $in: team.players } }).select('category isOverseas');
+          if (getCompositionBlocker(squad, player, settings)) continue;
+          eligible.push(team);
+        }
+
+        if (eligible.length === 0) {
+          return emitAdminError(socket, `No team can afford a sealed bid of ₹${minBid}L`);
+        }
+
+        stopTimer(tournamentId);
+
+        const seconds = Number.parseInt(durationSeconds) || settings.sealedRound.durationSeconds;
+        const deadline = new Date(Date.now() + seconds * 1000);
+        engine.sealedRound = {
+          roundKey: auctionState.roundKey,
+          playerId: player._id,
+          minBid,
+          tieRule: settings.sealedRound.tieRule,
+          eligible: new Set(eligible.map(team => team._id.toString())),
+          bids: new Map(),
+          saving: new Set(), // Teams whose bid is being written
+          deadline,
+          timer: setTimeout(() => revealSealedRound(io, tournamentId), seconds * 1000)
+        };
+
+        toTournament(tournamentId).emit('sealed:started', buildSealedRoundInfo(engine.sealedRound, player, eligible));
+
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'SEALED_ROUND_STARTED',
+          actor: sessionActor(socket),
+          player: player._id,
+          amount: minBid,
+          payload: {
+            roundKey: auctionState.roundKey,
+            eligibleTeams: eligible.map(team => team._id),
+            deadline,
+            tieRule: settings.sealedRound.tieRule
+          }
+        });
+
+        console.log(`Sealed round for ${player.name}: ${eligible.length} team(s), ${seconds}s`);
+      } catch (error) {
+        console.error('Start sealed round error:', error);
+        emitAdminError(socket, 'Failed to start sealed round');
+      }
+    });
+
     socket.on('admin:pauseAuction', async () => {
       if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+      const engine = getEngine(tournamentId);
 
       try {
-        const auctionState = await AuctionState.findOne()
+        if (engine.rtmOffer) {
+          return emitAdminError(socket, 'Cannot pause during a Right-to-Match decision');
+        }
+
+        if (engine.sealedRound) {
+          return emitAdminError(socket, 'Cannot pause during a sealed round');
+        }
+
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId })
           .populate('currentPlayer')
           .populate('currentHighBid.team');
         if (auctionState && auctionState.isActive) {
           auctionState.isPaused = true;
           await auctionState.save();
-          stopTimer();
-          
+          // Freeze the countdown at the exact remaining milliseconds
+          timers.pause(tournamentId);
+          await saveEngineState(tournamentId);
+          const timer = timers.getSnapshot(tournamentId);
+
+          await recordEvent({
+            tournament: tournamentId,
+            type: 'AUCTION_PAUSED',
+            actor: sessionActor(socket),
+            player: auctionState.currentPlayer?._id,
+            payload: { remainingMs: timer.remainingMs }
+          });
+
           // Broadcast pause event
-          io.emit('auction:paused');
-          
+          toTournament(tournamentId).emit('auction:paused', { timer });
+
           // Broadcast full auction state to all clients with current timer value
-          io.emit('auction:state', {
+          toTournament(tournamentId).emit('auction:state', {
             state: {
               ...auctionState.toObject(),
-              timeRemaining: timerValue
+              timeRemaining: timer.value
             },
-            timerValue: timerValue
+            timerValue: timer.value,
+            timer
           });
           console.log('Auction paused and state broadcasted');
         }
@@ -338,28 +850,62 @@ module.exports = (io) => {
 
     socket.on('admin:resumeAuction', async () => {
       if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+      const engine = getEngine(tournamentId);
 
       try {
-        const auctionState = await AuctionState.findOne()
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId })
           .populate('currentPlayer')
           .populate('currentHighBid.team');
         if (auctionState && auctionState.isPaused) {
           auctionState.isPaused = false;
           await auctionState.save();
-          startTimer(io);
-          
+          engine.awaitingResume = false;
+          // Continue from the remaining time rather than a fresh countdown
+          if (!timers.resume(tournamentId)) {
+            startTimer(io, tournamentId, engine.bidResetSeconds || DEFAULT_BID_RESET_SECONDS);
+          }
+          const timer = timers.getSnapshot(tournamentId);
+
+          await recordEvent({
+            tournament: tournamentId,
+            type: 'AUCTION_RESUMED',
+            actor: sessionActor(socket),
+            player: auctionState.currentPlayer?._id,
+            payload: { remainingMs: timer.remainingMs }
+          });
+
           // Broadcast resume event
-          io.emit('auction:resumed');
-          
+          toTournament(tournamentId).emit('auction:resumed', { timer });
+
           // Broadcast full auction state to all clients with current timer value
-          io.emit('auction:state', {
+          toTournament(tournamentId).emit('auction:state', {
             state: {
               ...auctionState.toObject(),
-              timeRemaining: timerValue
+              timeRemaining: timer.value
             },
-            timerValue: timerValue
+            timerValue: timer.value,
+            timer
           });
           console.log('Auction resumed and state broadcasted');
+
+          // Ceilings set while paused get their turn now
+          await runProxyBids(io, tournamentId);
+        } else if (engine.awaitingResume) {
+          // Engine restored after a restart between players - continue the queue
+          engine.awaitingResume = false;
+          await recordEvent({
+            tournament: tournamentId,
+            type: 'AUCTION_RESUMED',
+            actor: sessionActor(socket),
+            payload: { afterRestart: true, queueLength: engine.playerQueue.length }
+          });
+          toAdmins(tournamentId).emit('autoAuction:resumed', {
+            queueLength: engine.playerQueue.length,
+            unsoldCount: engine.unsoldPlayers.length,
+            currentSet: engine.currentSetName,
+          });
+          await processNextPlayerInQueue(io, tournamentId);
         }
       } catch (error) {
         console.error('Resume error:', error);
@@ -368,10 +914,11 @@ module.exports = (io) => {
 
     socket.on('admin:resetAuction', async () => {
       if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
 
       try {
-        const auctionState = await AuctionState.findOne().populate('currentPlayer');
-        
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId }).populate('currentPlayer');
+
         if (!auctionState || !auctionState.isActive) {
           return emitAdminError(socket, 'No active auction to reset');
         }
@@ -379,7 +926,9 @@ module.exports = (io) => {
         const player = auctionState.currentPlayer;
 
         // Stop the timer
-        stopTimer();
+        stopTimer(tournamentId);
+        cancelRtmOffer(tournamentId);
+        cancelSealedRound(tournamentId);
 
         // Reset player status to UNSOLD
         if (player) {
@@ -395,403 +944,1444 @@ module.exports = (io) => {
         auctionState.currentHighBid = { amount: 0, team: null };
         await auctionState.save();
 
-        // Clear any bids for this player (optional - keeps bid history clean)
+        // Void the bids of the reset round; they stay in the bid history
+        const removedBids = player ? await summarizeBids(player._id) : [];
         if (player) {
-          await Bid.deleteMany({ player: player._id });
+          await voidOpenBids(player._id, 'Auction round reset');
         }
 
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'AUCTION_ROUND_RESET',
+          actor: sessionActor(socket),
+          player: player?._id,
+          payload: { bids: removedBids }
+        });
+
         // Broadcast reset event to all clients
-        io.emit('auction:reset', {
+        toTournament(tournamentId).emit('auction:reset', {
           playerId: player?._id,
           playerName: player?.name,
           message: 'Auction has been reset'
         });
 
-        // Broadcast updated auction state to all clients
-        const updatedAuctionState = await AuctionState.findOne();
-        io.emit('auction:state', {
-          isActive: updatedAuctionState.isActive,
-          isPaused: updatedAuctionState.isPaused,
-          currentPlayer: null,
-          currentHighBid: updatedAuctionState.currentHighBid
+        // Broadcast updated auction state to all clients
+        const updatedAuctionState = await AuctionState.findOne({ tournament: tournamentId });
+        toTournament(tournamentId).emit('auction:state', {
+          isActive: updatedAuctionState.isActive,
+          isPaused: updatedAuctionState.isPaused,
+          currentPlayer: null,
+          currentHighBid: updatedAuctionState.currentHighBid
+        });
+
+        // Send updated auction state to admin
+        await sendAuctionState(socket);
+
+        console.log('Auction reset successfully');
+      } catch (error) {
+        console.error('Reset auction error:', error);
+        emitAdminError(socket, 'Failed to reset auction');
+      }
+    });
+
+    // Undo a sale: refund the team and void (not delete) its bids so it can be redone
+    socket.on('admin:undoSale', async ({ playerId, reason } = {}) => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+
+      try {
+        reason = typeof reason === 'string' ? reason.trim() : '';
+        if (!reason) {
+          return emitAdminError(socket, 'A reason is required to undo a sale');
+        }
+
+        // Purses must not change under a live round
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId });
+        if (auctionState?.isActive) {
+          return emitAdminError(socket, 'Cannot undo a sale while a player is under the hammer');
+        }
+
+        const retained = await Player.exists({ _id: playerId, tournament: tournamentId, isRetained: true });
+        if (retained) {
+          return emitAdminError(socket, 'Retained players are released from the retentions screen, not undone');
+        }
+
+        const voidedSale = await voidSale({
+          tournamentId,
+          playerId,
+          reason,
+          actor: sessionActor(socket)
+        });
+        if (!voidedSale) {
+          return emitAdminError(socket, 'Cannot undo this sale');
+        }
+
+        const player = await Player.findById(playerId);
+        const team = await Team.findById(voidedSale.team);
+
+        toTournament(tournamentId).emit('sale:undone', { player, team, reason });
+        broadcastTeamStatus(tournamentId);
+
+        console.log(`Sale undone: ${player.name} (₹${voidedSale.price}L) - ${reason}`);
+      } catch (error) {
+        console.error('Undo error:', error);
+        emitAdminError(socket, 'Failed to undo sale');
+      }
+    });
+
+    // Re-apply the last undone sale of a player
+    socket.on('admin:redoSale', async ({ playerId } = {}) => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+
+      try {
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId });
+        if (auctionState?.isActive) {
+          return emitAdminError(socket, 'Cannot redo a sale while a player is under the hammer');
+        }
+
+        const tournament = await Tournament.findById(tournamentId);
+        let restored;
+        try {
+          restored = await redoSale({
+            tournamentId,
+            playerId,
+            maxSquadSize: tournament.settings.maxSquadSize,
+            actor: sessionActor(socket)
+          });
+        } catch (error) {
+          return emitAdminError(socket, error.message);
+        }
+
+        const player = await Player.findById(playerId);
+        const team = await Team.findById(restored.team);
+
+        toTournament(tournamentId).emit('sale:redone', { player, team, amount: restored.price });
+        broadcastTeamStatus(tournamentId);
+
+        console.log(`Sale redone: ${player.name} to ${team?.teamName} for ₹${restored.price}L`);
+      } catch (error) {
+        console.error('Redo error:', error);
+        emitAdminError(socket, 'Failed to redo sale');
+      }
+    });
+
+    // Remove player from IN_AUCTION status back to UNSOLD
+    socket.on('admin:removeFromAuction', async ({ playerId }) => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+
+      try {
+        const player = await Player.findOne({ _id: playerId, tournament: tournamentId });
+        if (!player || player.status !== 'IN_AUCTION') {
+          return emitAdminError(socket, 'Player is not in auction');
+        }
+
+        // Check if this player is currently in an active auction
+        const auctionState = await AuctionState.findOne({ tournament: tournamentId });
+        const isCurrentAuctionPlayer = auctionState?.currentPlayer?.toString() === player._id.toString();
+
+        if (isCurrentAuctionPlayer && auctionState.isActive) {
+          // Stop the timer
+          stopTimer(tournamentId);
+          cancelRtmOffer(tournamentId);
+          cancelSealedRound(tournamentId);
+
+          // Clear auction state
+          auctionState.isActive = false;
+          auctionState.isPaused = false;
+          auctionState.currentPlayer = null;
+          auctionState.currentHighBid = { amount: 0, team: null };
+          await auctionState.save();
+
+          // Broadcast auction state update
+          toTournament(tournamentId).emit('auction:state', {
+            isActive: false,
+            isPaused: false,
+            currentPlayer: null,
+            currentHighBid: { amount: 0, team: null }
+          });
+        }
+
+        // Reset player status to UNSOLD
+        player.status = 'UNSOLD';
+        await player.save();
+
+        // Void any bids for this player (the event log keeps a copy)
+        const removedBids = await summarizeBids(player._id);
+        await voidOpenBids(player._id, 'Player removed from auction');
+
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'PLAYER_REMOVED_FROM_AUCTION',
+          actor: sessionActor(socket),
+          player: player._id,
+          payload: { wasLive: isCurrentAuctionPlayer && auctionState.isActive, bids: removedBids }
+        });
+
+        // Broadcast to all clients
+        toTournament(tournamentId).emit('player:removedFromAuction', {
+          playerId: player._id,
+          playerName: player.name,
+          message: `${player.name} removed from auction`
+        });
+
+        console.log(`Player removed from auction: ${player.name} -> UNSOLD`);
+
+        // Send updated auction state to admin
+        await sendAuctionState(socket);
+
+      } catch (error) {
+        console.error('Remove from auction error:', error);
+        emitAdminError(socket, 'Failed to remove player from auction');
+      }
+    });
+
+    // Start auto auction — mode: 'set' (admin-defined sets in order, with intros) or 'random' (all players shuffled)
+    socket.on('admin:startAutoAuction', async ({ mode } = {}) => {
+      if (!adminSockets.has(socket.id)) {
+        return emitAdminError(socket, 'Unauthorized');
+      }
+      const tournamentId = socket.data.tournamentId;
+      const engine = getEngine(tournamentId);
+
+      // Block starting new auction if team summary is showing
+      if (engine.isTeamSummaryShowing) {
+        return emitAdminError(socket, 'Team summary is showing. Please wait.');
+      }
+
+      try {
+        // Get all available players (not sold and marked as available)
+        const availablePlayers = await Player.find({
+          tournament: tournamentId,
+          status: { $ne: 'SOLD' },
+          isRetained: { $ne: true },
+          availability: { $in: ['AVAILABLE', null] },
+          registrationStatus: { $in: ['APPROVED', null] }
+        });
+
+        if (availablePlayers.length === 0) {
+          return emitAdminError(socket, 'No players available for auction');
+        }
+
+        // Set-wise mode needs the tournament's sets and at least one player in them
+        let setPlan = null;
+        if (mode !== 'random') {
+          const sets = await AuctionSet.find({ tournament: tournamentId });
+          if (sets.length === 0) {
+            return emitAdminError(socket, 'No auction sets defined. Create sets first or use random mode');
+          }
+          // Sets saved before names were validated would break saving the engine state
+          const badName = sets.find(set => set.name.includes('.') || set.name.startsWith('$'));
+          if (badName) {
+            return emitAdminError(socket, `Rename set "${badName.name}": set names cannot contain "." or start with "$"`);
+          }
+          setPlan = assignPlayersToSets(sets, availablePlayers);
+          if (setPlan.unassigned.length === availablePlayers.length) {
+            return emitAdminError(socket, 'No available player belongs to any auction set');
+          }
+        }
+
+        engine.playerQueue = [];
+        engine.unsoldPlayers = [];
+        engine.isAutoAuction = true;
+        engine.awaitingResume = false;
+        engine.currentSetName = null;
+        engine.inUnsoldRound = false;
+        engine.inAcceleratedRound = false;
+        engine.nominationWindow = null;
+        engine.isRandomMode = mode === 'random';
+
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'AUTO_AUCTION_STARTED',
+          actor: sessionActor(socket),
+          payload: { mode: engine.isRandomMode ? 'random' : 'set', totalPlayers: availablePlayers.length }
+        });
+
+        if (engine.isRandomMode) {
+          // Random mode: shuffle ALL available players regardless of set/price
+          engine.playerQueue = shuffle(availablePlayers.map(p => p._id.toString()));
+          engine.remainingSetOrder = [];
+          engine.setQueues = {};
+
+          toAdmins(tournamentId).emit('autoAuction:started', {
+            totalPlayers: availablePlayers.length,
+            queueLength: availablePlayers.length,
+            mode: 'random',
+          });
+
+          // Start immediately — no set intro needed
+          await processNextPlayerInQueue(io, tournamentId);
+        } else {
+          // Set-wise mode: one shuffled queue per set, auctioned in set order with intros
+          const { ordered, assigned, unassigned } = setPlan;
+          engine.setQueues = {};
+          engine.setDetails = {};
+          const setBreakdown = {};
+          for (const set of ordered) {
+            engine.setQueues[set.name] = shuffle(assigned.get(set.name));
+            engine.setDetails[set.name] = {
+              introSeconds: set.introSeconds,
+              minBasePrice: set.rules.minBasePrice,
+              maxBasePrice: set.rules.maxBasePrice
+            };
+            setBreakdown[set.name] = engine.setQueues[set.name].length;
+          }
+          engine.remainingSetOrder = ordered.map(set => set.name).filter(name => engine.setQueues[name].length > 0);
+
+          toAdmins(tournamentId).emit('autoAuction:started', {
+            totalPlayers: availablePlayers.length,
+            queueLength: availablePlayers.length - unassigned.length,
+            setBreakdown,
+            setsWithPlayers: engine.remainingSetOrder,
+            // Players outside every set are left out of this auction
+            unassignedPlayers: unassigned,
+            mode: 'set',
+          });
+
+          // Start intro for first set
+          await startNextSetIntro(io, tournamentId);
+        }
+
+      } catch (error) {
+        console.error('Auto auction start error:', error);
+        emitAdminError(socket, 'Failed to start auto auction');
+      }
+    });
+
+    // Stop auto auction
+    socket.on('admin:stopAutoAuction', async () => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+      const engine = getEngine(tournamentId);
+
+      engine.isAutoAuction = false;
+      engine.isRandomMode = false;
+      stopTimer(tournamentId);
+
+      // Clear any pending set intro timer
+      if (engine.setIntroTimer) {
+        clearTimeout(engine.setIntroTimer);
+        engine.setIntroTimer = null;
+      }
+      engine.currentSetName = null;
+      engine.remainingSetOrder = [];
+      engine.inUnsoldRound = false;
+      engine.inAcceleratedRound = false;
+      engine.nominationWindow = null;
+      engine.awaitingResume = false;
+      await saveEngineState(tournamentId);
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'AUTO_AUCTION_STOPPED',
+        actor: sessionActor(socket),
+        payload: { remainingInQueue: engine.playerQueue.length, unsoldCount: engine.unsoldPlayers.length }
+      });
+
+      toTournament(tournamentId).emit('set:introAborted');
+      toAdmins(tournamentId).emit('autoAuction:stopped', {
+        remainingInQueue: engine.playerQueue.length,
+        unsoldCount: engine.unsoldPlayers.length
+      });
+    });
+
+    // Let teams nominate unsold players for the accelerated round
+    socket.on('admin:openNominations', async () => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+      const nominationRound = getEngine(tournamentId).nominationWindow;
+
+      if (!nominationRound) {
+        return emitAdminError(socket, 'No unsold players are waiting for nominations');
+      }
+      if (nominationRound.open) {
+        return emitAdminError(socket, 'Nomination window is already open');
+      }
+
+      try {
+        const tournament = await Tournament.findById(tournamentId);
+        const players = await Player.find({ _id: { $in: nominationRound.candidates }, status: 'UNSOLD' })
+          .select('name photo category basePrice isOverseas');
+
+        nominationRound.open = true;
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'NOMINATIONS_OPENED',
+          actor: sessionActor(socket),
+          payload: { candidates: nominationRound.candidates, maxPerTeam: nominationRound.maxPerTeam }
+        });
+
+        toTournament(tournamentId).emit('nominations:opened', {
+          players,
+          maxPerTeam: nominationRound.maxPerTeam,
+          basePriceCutPercent: tournament.settings.acceleratedRound.basePriceCutPercent
+        });
+        toAdmins(tournamentId).emit('autoAuction:nominationsOpened', { count: players.length });
+      } catch (error) {
+        console.error('Open nominations error:', error);
+        emitAdminError(socket, 'Failed to open nominations');
+      }
+    });
+
+    // Close nominations and auction only the nominated players in the accelerated round
+    socket.on('admin:closeNominations', async () => {
+      if (!adminSockets.has(socket.id)) return;
+      const tournamentId = socket.data.tournamentId;
+      const engine = getEngine(tournamentId);
+      const nominationRound = engine.nominationWindow;
+
+      if (!nominationRound || !nominationRound.open) {
+        return emitAdminError(socket, 'Nomination window is not open');
+      }
+
+      try {
+        const nominated = new Set([...nominationRound.nominations.values()].flat());
+        engine.nominationWindow = null;
+        engine.inUnsoldRound = true;
+        engine.inAcceleratedRound = true;
+        engine.playerQueue = shuffle(nominationRound.candidates.filter(id => nominated.has(id)));
+        engine.unsoldPlayers = [];
+        await saveEngineState(tournamentId);
+
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'NOMINATIONS_CLOSED',
+          actor: sessionActor(socket),
+          payload: {
+            nominations: Object.fromEntries(nominationRound.nominations),
+            playerIds: engine.playerQueue
+          }
+        });
+
+        toTournament(tournamentId).emit('nominations:closed', {
+          playerIds: engine.playerQueue,
+          nominatedCount: engine.playerQueue.length
+        });
+        toAdmins(tournamentId).emit('autoAuction:unsoldRound', {
+          message: `Accelerated round: ${engine.playerQueue.length} nominated player(s)`,
+          count: engine.playerQueue.length,
+          currentSet: engine.currentSetName,
+          accelerated: true,
+        });
+
+        await processNextPlayerInQueue(io, tournamentId);
+      } catch (error) {
+        console.error('Close nominations error:', error);
+        emitAdminError(socket, 'Failed to close nominations');
+      }
+    });
+
+    // Get auto auction status
+    socket.on('admin:getAutoAuctionStatus', () => {
+      if (!adminSockets.has(socket.id)) return;
+      const engine = getEngine(socket.data.tournamentId);
+
+      socket.emit('autoAuction:status', {
+        isActive: engine.isAutoAuction,
+        queueLength: engine.playerQueue.length,
+        unsoldCount: engine.unsoldPlayers.length,
+        totalRemaining: engine.playerQueue.length + engine.unsoldPlayers.length,
+        currentSet: engine.currentSetName,
+        remainingSets: engine.remainingSetOrder.length,
+        inUnsoldRound: engine.inUnsoldRound,
+        inAcceleratedRound: engine.inAcceleratedRound,
+        nominations: engine.nominationWindow ? {
+          open: engine.nominationWindow.open,
+          candidates: engine.nominationWindow.candidates.length,
+          teamsSubmitted: engine.nominationWindow.nominations.size
+        } : null,
+        awaitingResume: engine.awaitingResume,
+        mode: engine.isRandomMode ? 'random' : 'set',
+      });
+    });
+
+    // Full upcoming queue with player details, for the requesting admin only
+    socket.on('admin:getQueue', async () => {
+      if (!adminSockets.has(socket.id)) return;
+      try {
+        socket.emit('autoAuction:queue', await buildQueueSnapshot(socket.data.tournamentId));
+      } catch (error) {
+        console.error('Get queue error:', error);
+        emitAdminError(socket, 'Failed to load the auction queue');
+      }
+    });
+
+    // Manual queue edits during auto auction; each change is saved and broadcast to every admin
+    const onQueueEdit = (event, action, edit) => {
+      socket.on(event, async (payload = {}) => {
+        if (!adminSockets.has(socket.id)) return;
+        const tournamentId = socket.data.tournamentId;
+        const engine = getEngine(tournamentId);
+
+        try {
+          if (!engine.isAutoAuction) {
+            return emitAdminError(socket, 'Auto auction is not running');
+          }
+          const playerId = payload.playerId?.toString();
+          if (!playerId) {
+            return emitAdminError(socket, 'Player is required');
+          }
+
+          const error = await edit(engine, playerId, payload, tournamentId);
+          if (error) {
+            return emitAdminError(socket, error);
+          }
+
+          await saveEngineState(tournamentId);
+          await recordEvent({
+            tournament: tournamentId,
+            type: 'QUEUE_EDITED',
+            actor: sessionActor(socket),
+            player: playerId,
+            payload: payload.direction ? { action, direction: payload.direction } : { action }
+          });
+
+          const snapshot = await buildQueueSnapshot(tournamentId);
+          toAdmins(tournamentId).emit('autoAuction:queue', {
+            ...snapshot,
+            change: { action, playerId, by: sessionActor(socket).name }
+          });
+          console.log(`Queue ${action}: ${playerId}`);
+        } catch (error) {
+          console.error(`Queue ${action} error:`, error);
+          emitAdminError(socket, 'Failed to update the auction queue');
+        }
+      });
+    };
+
+    onQueueEdit('admin:moveInQueue', 'move', (engine, playerId, { direction }) => {
+      if (direction !== 'up' && direction !== 'down') return 'Direction must be up or down';
+      const queue = engine.playerQueue;
+      const index = queue.indexOf(playerId);
+      if (index === -1) return 'Player is not in the upcoming queue';
+
+      const target = direction === 'up' ? index - 1 : index + 1;
+      if (target < 0 || target >= queue.length) {
+        return `Player is already at the ${direction === 'up' ? 'front' : 'end'} of the queue`;
+      }
+      [queue[index], queue[target]] = [queue[target], queue[index]];
+    });
+
+    onQueueEdit('admin:skipPlayer', 'skip', (engine, playerId) => {
+      const index = engine.playerQueue.indexOf(playerId);
+      if (index === -1) return 'Player is not in the upcoming queue';
+      engine.playerQueue.splice(index, 1);
+      engine.playerQueue.push(playerId);
+    });
+
+    // Next up: from anywhere in the queue, a later set, the unsold list, or any player still available
+    onQueueEdit('admin:pullToFront', 'pullToFront', async (engine, playerId, payload, tournamentId) => {
+      const index = engine.playerQueue.indexOf(playerId);
+      if (index !== -1) {
+        engine.playerQueue.splice(index, 1);
+        engine.playerQueue.unshift(playerId);
+        return;
+      }
+
+      const player = await Player.findOne({ _id: playerId, tournament: tournamentId });
+      if (!player || player.status !== 'UNSOLD' || player.isRetained || player.availability === 'UNAVAILABLE' ||
+          (player.registrationStatus && player.registrationStatus !== 'APPROVED')) {
+        return 'Player is not available for auction';
+      }
+
+      engine.unsoldPlayers = engine.unsoldPlayers.filter(id => id !== playerId);
+      for (const setName of engine.remainingSetOrder) {
+        engine.setQueues[setName] = engine.setQueues[setName].filter(id => id !== playerId);
+      }
+      engine.remainingSetOrder = engine.remainingSetOrder.filter(name => engine.setQueues[name].length > 0);
+      engine.playerQueue.unshift(playerId);
+    });
+
+    onQueueEdit('admin:deferPlayer', 'defer', (engine, playerId) => {
+      if (engine.inUnsoldRound) {
+        return 'The unsold round is already running; skip the player instead';
+      }
+      const index = engine.playerQueue.indexOf(playerId);
+      if (index === -1) return 'Player is not in the upcoming queue';
+      engine.playerQueue.splice(index, 1);
+      if (!engine.unsoldPlayers.includes(playerId)) engine.unsoldPlayers.push(playerId);
+    });
+
+    // Handle disconnection
+    socket.on('disconnect', async () => {
+      console.log(`Client disconnected: ${socket.id}`);
+      await leaveTournament(socket);
+    });
+  });
+
+  // Bind a socket to a tournament, leaving any tournament it followed before.
+  // Returns the tournament id as a string, or null if it does not exist.
+  async function joinTournament(socket, tournamentId) {
+    if (!tournamentId || !mongoose.isValidObjectId(tournamentId)) return null;
+
+    const tournament = await Tournament.findById(tournamentId).select('_id');
+    if (!tournament) return null;
+
+    const id = tournament._id.toString();
+    if (socket.data.tournamentId && socket.data.tournamentId !== id) {
+      await leaveTournament(socket);
+    }
+
+    socket.data.tournamentId = id;
+    socket.join(tournamentRoom(id));
+    return id;
+  }
+
+  // Drop every role a socket holds in its current tournament
+  async function leaveTournament(socket) {
+    const tournamentId = socket.data.tournamentId;
+    if (!tournamentId) return;
+
+    // Handle team disconnect - give the captain a grace period to reconnect
+    const teamId = connectedTeams.get(socket.id);
+    if (teamId) {
+      connectedTeams.delete(socket.id);
+      socket.leave(`team:${teamId}`);
+      socket.data.teamSessionId = null;
+      scheduleTeamOffline(teamId);
+    }
+
+    // Handle admin disconnect
+    if (adminSockets.has(socket.id)) {
+      adminSockets.delete(socket.id);
+      socket.data.adminSession = null;
+    }
+
+    // Handle big screen disconnect
+    const engine = getEngine(tournamentId);
+    if (engine.bigScreenSockets.has(socket.id)) {
+      engine.bigScreenSockets.delete(socket.id);
+
+      // Safety: if all big screens disconnect while summary flag is on, unblock auctions.
+      if (engine.bigScreenSockets.size === 0 && engine.isTeamSummaryShowing) {
+        engine.isTeamSummaryShowing = false;
+        toAdmins(tournamentId).emit('teamSummary:showing', { isShowing: false });
+      }
+    }
+
+    socket.leave(tournamentRoom(tournamentId));
+    socket.leave(adminRoom(tournamentId));
+    socket.leave(bigScreenRoom(tournamentId));
+    socket.data.tournamentId = null;
+  }
+
+  function sessionActor(socket) {
+    const { adminId, username } = socket.data.adminSession;
+    return adminActor({ _id: adminId, username });
+  }
+
+  // Compact copy of a player's bids for the event log before they are voided
+  async function summarizeBids(playerId) {
+    const bids = await Bid.find({ player: playerId, voided: { $ne: true } }).sort({ timestamp: 1 });
+    return bids.map(bid => ({ team: bid.team, amount: bid.amount, timestamp: bid.timestamp }));
+  }
+
+  // Void a player's live bids without a voidKey, so a later redo of a sale never restores them
+  async function voidOpenBids(playerId, reason) {
+    await Bid.updateMany(
+      { player: playerId, voided: { $ne: true } },
+      { $set: { voided: true, voidReason: reason, voidedAt: new Date() } }
+    );
+  }
+
+  function emitLoginBlocked(socket, reason, waitMs) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    socket.emit('auth:error', {
+      message: `${reason}. Try again in ${retryAfter}s`,
+      code: 'LOGIN_THROTTLED',
+      retryAfter
+    });
+  }
+
+  // Validate and accept one bid for the current player. Shared by bid:place and proxy auto-bids.
+  // Returns { bid, team, player } on success, { error } when invalid, { outpaced, ladder } when another bid won the race.
+  // teamBlocked marks errors that come from the team itself (purse, squad size or composition), not the round.
+  async function placeBid(io, tournamentId, teamId, amount, { auto = false } = {}) {
+    const auctionState = await AuctionState.findOne({ tournament: tournamentId });
+    if (!auctionState || !auctionState.isActive || auctionState.isPaused) {
+      return { error: { message: 'Auction not active' } };
+    }
+
+    // Bidding is closed while the previous team decides on its RTM card
+    if (getEngine(tournamentId).rtmOffer) {
+      return { error: { message: 'Bidding closed: waiting for a Right-to-Match decision' } };
+    }
+
+    if (getEngine(tournamentId).sealedRound) {
+      return { error: { message: 'Sealed round in progress: submit a sealed bid instead' } };
+    }
+
+    if (auctionState.biddingClosed || getEngine(tournamentId).closingRound) {
+      return { error: { message: BIDDING_CLOSED_MESSAGE } };
+    }
+
+    const team = await Team.findById(teamId);
+    if (!team) {
+      return { error: { message: 'Team not found' }, teamBlocked: true };
+    }
+    const player = await Player.findById(auctionState.currentPlayer);
+
+    if (!player || player.status !== 'IN_AUCTION') {
+      return { error: { message: 'Player not in auction' } };
+    }
+
+    // Check if team has reached max squad size
+    const tournament = await Tournament.findById(tournamentId);
+    const MAX_SQUAD_SIZE = tournament.settings.maxSquadSize;
+    if (team.rosterSlotsFilled >= MAX_SQUAD_SIZE) {
+      return {
+        error: {
+          message: `Squad full! Maximum ${MAX_SQUAD_SIZE} players allowed`
+        },
+        teamBlocked: true
+      };
+    }
+
+    // Validate bid amount
+    amount = Number(amount);
+    const currentHighBid = auctionState.currentHighBid.amount;
+    const hasNoBids = !auctionState.currentHighBid.team; // No bids placed yet
+    const ladder = tournament.settings.bidIncrements;
+    const nextValidBid = getNextBid(ladder, currentHighBid, !hasNoBids);
+
+    // Opening bid is the base price, every raise must land on the increment ladder
+    if (!Number.isFinite(amount) || amount < nextValidBid) {
+      return {
+        error: {
+          message: `Bid must be at least ₹${nextValidBid}L`,
+          nextValidBid
+        }
+      };
+    }
+
+    if (!isOnLadder(ladder, currentHighBid, !hasNoBids, amount)) {
+      return {
+        error: {
+          message: `₹${amount}L is not a valid increment. Next valid bid is ₹${nextValidBid}L`,
+          nextValidBid
+        }
+      };
+    }
+
+    // Check if team has enough points
+    if (amount > team.remainingPoints) {
+      return {
+        error: {
+          message: `Insufficient points. You have ₹${team.remainingPoints}L remaining`
+        },
+        teamBlocked: true
+      };
+    }
+
+    // Keep enough purse to fill the remaining minimum squad at base price
+    const maxAllowedBid = getMaxAllowedBid(team, tournament.settings);
+    if (amount > maxAllowedBid) {
+      return {
+        error: {
+          message: `Maximum allowed bid is ₹${maxAllowedBid}L (purse reserved for remaining squad slots)`,
+          maxAllowedBid
+        },
+        teamBlocked: true
+      };
+    }
+
+    // Reject bids that would leave no way to build a squad within the composition rules
+    const squad = await Player.find({ _id: { $in: team.players } }).select('category isOverseas');
+    const compositionBlocker = getCompositionBlocker(squad, player, tournament.settings);
+    if (compositionBlocker) {
+      return { error: { message: compositionBlocker }, teamBlocked: true };
+    }
+
+    // Prevent team from bidding against themselves
+    if (!hasNoBids && auctionState.currentHighBid.team &&
+        auctionState.currentHighBid.team.toString() === team._id.toString()) {
+      return {
+        error: {
+          message: 'You are already the highest bidder'
+        }
+      };
+    }
+
+    // Accept the bid only if the high bid is still the one validated above;
+    // a concurrent bid that landed first makes this match nothing.
+    // The new high bid, its Bid record and the log entry are written together or not at all.
+    const session = await mongoose.startSession();
+    let bid = null;
+    try {
+      await session.withTransaction(async () => {
+        bid = null;
+        const acceptedState = await AuctionState.findOneAndUpdate(
+          {
+            _id: auctionState._id,
+            isActive: true,
+            isPaused: false,
+            biddingClosed: { $ne: true },
+            currentPlayer: player._id,
+            'currentHighBid.amount': currentHighBid,
+            'currentHighBid.team': auctionState.currentHighBid.team
+          },
+          {
+            $set: {
+              currentHighBid: { amount: amount, team: team._id },
+              lastBidAt: new Date()
+            }
+          },
+          { new: true, session }
+        );
+        if (!acceptedState) return;
+
+        // Record bid
+        bid = new Bid({
+          tournament: tournamentId,
+          player: player._id,
+          team: team._id,
+          amount: amount,
+          isWinning: false,
+          isAuto: auto
         });
+        await bid.save({ session });
 
-        // Send updated auction state to admin
-        await sendAuctionState(socket);
+        await recordEvent({
+          tournament: tournamentId,
+          type: 'BID_PLACED',
+          actor: teamActor(team),
+          player: player._id,
+          team: team._id,
+          amount,
+          payload: auto ? { bid: bid._id, auto: true } : { bid: bid._id }
+        }, session);
+      });
+    } finally {
+      await session.endSession();
+    }
 
-        console.log('Auction reset successfully');
-      } catch (error) {
-        console.error('Reset auction error:', error);
-        emitAdminError(socket, 'Failed to reset auction');
+    if (!bid) {
+      // Losing to the clock is not losing to another bid
+      if (getEngine(tournamentId).closingRound) {
+        return { error: { message: BIDDING_CLOSED_MESSAGE } };
       }
-    });
+      return { outpaced: true, ladder };
+    }
 
-    socket.on('admin:undoSale', async ({ playerId }) => {
-      if (!adminSockets.has(socket.id)) return;
+    // Reset timer, unless the clock ran out while this bid was being written (it still counts for the sale)
+    if (!getEngine(tournamentId).closingRound) {
+      resetTimer(io, tournamentId);
+    }
 
-      try {
-        const player = await Player.findById(playerId);
-        if (!player || player.status !== 'SOLD') {
-          return emitAdminError(socket, 'Cannot undo this sale');
-        }
+    // Broadcast bid to all clients with full team data (never the proxy ceiling)
+    const bidData = {
+      amount: amount,
+      teamName: team.teamName,
+      teamId: team._id.toString(),
+      team: {
+        _id: team._id,
+        teamName: team.teamName,
+        logo: team.logo,
+        purseBudget: team.purseBudget,
+        remainingPoints: team.remainingPoints
+      },
+      nextBid: amount + getIncrement(ladder, amount),
+      timestamp: new Date()
+    };
+
+    toTournament(tournamentId).emit('bid:new', bidData);
+
+    console.log(`New ${auto ? 'auto-' : ''}bid: ₹${amount}L by ${team.teamName} for ${player.name}`);
+
+    return { bid, team, player };
+  }
 
-        const team = await Team.findById(player.soldTo);
-        if (team) {
-          // Restore team points
-          team.remainingPoints += player.soldPrice;
-          team.rosterSlotsFilled -= 1;
-          team.players = team.players.filter(p => p.toString() !== player._id.toString());
-          await team.save();
-        }
+  // Bid the minimum valid raise for teams with a proxy ceiling until no ceiling can go higher
+  async function runProxyBids(io, tournamentId) {
+    const engine = getEngine(tournamentId);
+    // A run already in progress picks up the newer high bid on its next pass
+    if (engine.proxyBidding) {
+      engine.proxyRerun = true;
+      return;
+    }
 
-        // Reset player
-        player.status = 'UNSOLD';
-        player.soldTo = null;
-        player.soldPrice = null;
-        player.soldAt = null;
-        await player.save();
+    engine.proxyBidding = true;
+    try {
+      do {
+        engine.proxyRerun = false;
+        while (await placeNextProxyBid(io, tournamentId)) {
+          // Keep going while some ceiling still beats the high bid
+        }
+      } while (engine.proxyRerun);
+    } catch (error) {
+      console.error('Proxy bidding error:', error);
+    } finally {
+      engine.proxyBidding = false;
+    }
+  }
 
-        // Delete bids
-        await Bid.deleteMany({ player: player._id });
+  // Returns true when the high bid moved and the ceilings should be checked again
+  async function placeNextProxyBid(io, tournamentId) {
+    const engine = getEngine(tournamentId);
+    if (engine.rtmOffer || engine.sealedRound) return false;
 
-        io.emit('sale:undone', { player, team });
+    const auctionState = await AuctionState.findOne({ tournament: tournamentId });
+    if (!auctionState || !auctionState.isActive || auctionState.isPaused || !auctionState.currentPlayer) {
+      return false;
+    }
 
-      } catch (error) {
-        console.error('Undo error:', error);
+    const { settings } = await Tournament.findById(tournamentId);
+    const highBidder = auctionState.currentHighBid.team;
+    const nextBid = getNextBid(settings.bidIncrements, auctionState.currentHighBid.amount, Boolean(highBidder));
+    const playerId = auctionState.currentPlayer;
+
+    // The earliest ceiling gets the first chance at each raise
+    const proxies = await ProxyBid.find({
+      tournament: tournamentId,
+      player: playerId,
+      team: { $ne: highBidder },
+      ceiling: { $gte: nextBid }
+    }).sort({ createdAt: 1 });
+
+    for (const proxy of proxies) {
+      const result = await placeBid(io, tournamentId, proxy.team, nextBid, { auto: true });
+      if (result.outpaced) return true;
+      if (result.teamBlocked) {
+        // The team can't make this bid (purse, squad rules ...): drop the proxy rather than retry every raise
+        await ProxyBid.deleteOne({ _id: proxy._id });
+        io.to(`team:${proxy.team}`).emit('proxy:cancelled', { playerId, reason: result.error.message });
+        continue;
       }
+      // The round closed, paused or moved on under us; the ceilings stay for the next run
+      if (result.error) return false;
+
+      io.to(`team:${proxy.team}`).emit('proxy:bidPlaced', { playerId, amount: nextBid, ceiling: proxy.ceiling });
+      return true;
+    }
+
+    // Tell teams once that the bidding has passed their ceiling
+    const exhausted = await ProxyBid.find({
+      tournament: tournamentId,
+      player: playerId,
+      team: { $ne: highBidder },
+      ceiling: { $lt: nextBid },
+      exhaustedAt: null
     });
+    for (const proxy of exhausted) {
+      await ProxyBid.updateOne({ _id: proxy._id }, { $set: { exhaustedAt: new Date() } });
+      io.to(`team:${proxy.team}`).emit('proxy:exhausted', {
+        playerId,
+        ceiling: proxy.ceiling,
+        currentBid: auctionState.currentHighBid.amount
+      });
+    }
+    return false;
+  }
 
-    // Remove player from IN_AUCTION status back to UNSOLD
-    socket.on('admin:removeFromAuction', async ({ playerId }) => {
-      if (!adminSockets.has(socket.id)) return;
+  // Tell the losing side of a simultaneous bid what it lost to
+  async function emitBidOutpaced(socket, tournamentId, ladder) {
+    const latest = await AuctionState.findOne({ tournament: tournamentId })
+      .populate('currentHighBid.team', 'teamName');
 
-      try {
-        const player = await Player.findById(playerId);
-        if (!player || player.status !== 'IN_AUCTION') {
-          return emitAdminError(socket, 'Player is not in auction');
-        }
+    if (!latest || !latest.isActive || latest.isPaused) {
+      return socket.emit('bid:error', { message: 'Auction not active' });
+    }
 
-        // Check if this player is currently in an active auction
-        const auctionState = await AuctionState.findOne();
-        const isCurrentAuctionPlayer = auctionState?.currentPlayer?.toString() === player._id.toString();
+    const { amount, team } = latest.currentHighBid;
+    const hasBids = !!team;
+    const nextValidBid = getNextBid(ladder, amount, hasBids);
+    socket.emit('bid:error', {
+      message: hasBids
+        ? `Outbid: ${team.teamName} bid ₹${amount}L first. Next valid bid is ₹${nextValidBid}L`
+        : `Auction state changed. Next valid bid is ₹${nextValidBid}L`,
+      code: 'BID_OUTPACED',
+      currentBid: amount,
+      currentBidTeam: hasBids ? { _id: team._id, teamName: team.teamName } : null,
+      nextValidBid
+    });
+  }
 
-        if (isCurrentAuctionPlayer && auctionState.isActive) {
-          // Stop the timer
-          stopTimer();
+  function handleIpFailure(ip, tournamentId) {
+    if (recordIpFailure(ip)) {
+      console.warn(`🔒 IP ${ip} locked out after repeated failed team logins`);
+      toAdmins(tournamentId).emit('security:ipLockedOut', { ip });
+    }
+  }
 
-          // Clear auction state
-          auctionState.isActive = false;
-          auctionState.isPaused = false;
-          auctionState.currentPlayer = null;
-          auctionState.currentHighBid = { amount: 0, team: null };
-          await auctionState.save();
+  // Finish a team login (PIN or resumed session): mark online, join rooms, send team data
+  async function completeTeamLogin(socket, team, session, sessionToken) {
+    const tournamentId = socket.data.tournamentId;
+
+    // Cancel a pending offline mark from a dropped connection
+    clearTimeout(teamOfflineTimers.get(team._id.toString()));
+    teamOfflineTimers.delete(team._id.toString());
+
+    // Update team status
+    team.isOnline = true;
+    team.lastActive = new Date();
+    await team.save();
+
+    // Store connection
+    connectedTeams.set(socket.id, team._id);
+    socket.data.teamSessionId = session._id;
+    socket.join(`team:${team._id}`);
+
+    // Send team data
+    const teamData = await Team.findById(team._id).populate('players');
+    const tournament = await Tournament.findById(tournamentId);
+    socket.emit('auth:success', {
+      sessionToken,
+      sessionExpiresAt: session.expiresAt,
+      team: {
+        id: teamData._id,
+        teamName: teamData.teamName,
+        captainName: teamData.captainName,
+        logo: teamData.logo,
+        remainingPoints: teamData.remainingPoints,
+        maxAllowedBid: getMaxAllowedBid(teamData, tournament.settings),
+        rosterSlotsFilled: teamData.rosterSlotsFilled,
+        players: teamData.players
+      }
+    });
 
-          // Broadcast auction state update
-          io.emit('auction:state', {
-            isActive: false,
-            isPaused: false,
-            currentPlayer: null,
-            currentHighBid: { amount: 0, team: null }
-          });
-        }
+    // Notify admin and big screen
+    broadcastTeamStatus(tournamentId);
+
+    // Send current auction state to team
+    console.log('📤 Sending auction state to team after login:', teamData.teamName);
+    sendAuctionState(socket);
+
+    // Re-deliver a sealed round the team is part of
+    const { sealedRound } = getEngine(tournamentId);
+    if (sealedRound && sealedRound.eligible.has(team._id.toString())) {
+      const [player, eligibleTeams] = await Promise.all([
+        Player.findById(sealedRound.playerId),
+        Team.find({ _id: { $in: [...sealedRound.eligible] } }).select('teamName')
+      ]);
+      socket.emit('sealed:started', {
+        ...buildSealedRoundInfo(sealedRound, player, eligibleTeams),
+        submitted: sealedRound.bids.has(team._id.toString())
+      });
+    }
 
-        // Reset player status to UNSOLD
-        player.status = 'UNSOLD';
-        await player.save();
+    // Re-deliver an RTM offer the captain may have missed while reconnecting
+    const { rtmOffer } = getEngine(tournamentId);
+    if (rtmOffer && rtmOffer.teamId.equals(team._id)) {
+      const [player, winningTeam] = await Promise.all([
+        Player.findById(rtmOffer.playerId),
+        Team.findById(rtmOffer.winningTeamId)
+      ]);
+      socket.emit('rtm:offer', buildRtmOffer(rtmOffer, player, winningTeam, teamData));
+    }
+  }
 
-        // Delete any bids for this player
-        await Bid.deleteMany({ player: player._id });
+  const isTeamConnected = (teamId) => [...connectedTeams.values()]
+    .some(id => id.toString() === teamId.toString());
 
-        // Broadcast to all clients
-        io.emit('player:removedFromAuction', {
-          playerId: player._id,
-          playerName: player.name,
-          message: `${player.name} removed from auction`
-        });
+  function scheduleTeamOffline(teamId) {
+    const key = teamId.toString();
+    clearTimeout(teamOfflineTimers.get(key));
 
-        console.log(`Player removed from auction: ${player.name} -> UNSOLD`);
+    teamOfflineTimers.set(key, setTimeout(async () => {
+      teamOfflineTimers.delete(key);
+      // The team may be back on another socket by now
+      if (!isTeamConnected(teamId)) {
+        await markTeamOffline(teamId);
+      }
+    }, TEAM_RECONNECT_GRACE_MS));
+  }
 
-        // Send updated auction state to admin
-        await sendAuctionState(socket);
+  async function markTeamOffline(teamId) {
+    try {
+      if (isTeamConnected(teamId)) return;
 
-      } catch (error) {
-        console.error('Remove from auction error:', error);
-        emitAdminError(socket, 'Failed to remove player from auction');
+      clearTimeout(teamOfflineTimers.get(teamId.toString()));
+      teamOfflineTimers.delete(teamId.toString());
+
+      const team = await Team.findByIdAndUpdate(teamId, {
+        isOnline: false,
+        lastActive: new Date()
+      });
+      if (team) {
+        broadcastTeamStatus(team.tournament);
       }
+    } catch (error) {
+      console.error('Disconnect error:', error);
+    }
+  }
+
+  // Offer the player's previous team a Right-to-Match at the winning bid. Returns true if an offer was made.
+  async function offerRtm(io, tournamentId, auctionState) {
+    const engine = getEngine(tournamentId);
+    const player = auctionState.currentPlayer;
+    const winningTeam = auctionState.currentHighBid.team;
+    const amount = auctionState.currentHighBid.amount;
+
+    if (!player.previousTeam || player.previousTeam.equals(winningTeam._id)) return false;
+
+    const team = await Team.findOne({ _id: player.previousTeam, tournament: tournamentId });
+    if (!team || team.rtmCardsRemaining < 1) return false;
+
+    // Only offer what the team could have bid itself
+    const tournament = await Tournament.findById(tournamentId);
+    const { settings } = tournament;
+    if (team.rosterSlotsFilled >= settings.maxSquadSize) return false;
+    if (amount > team.remainingPoints || amount > getMaxAllowedBid(team, settings)) return false;
+    const squad = await Player.find({ _id: { $in: team.players } }).select('category isOverseas');
+    if (getCompositionBlocker(squad, player, settings)) return false;
+
+    const durationMs = settings.rtmOfferSeconds * 1000;
+    engine.rtmOffer = {
+      roundKey: auctionState.roundKey,
+      playerId: player._id,
+      teamId: team._id,
+      winningTeamId: winningTeam._id,
+      amount,
+      expiresAt: new Date(Date.now() + durationMs),
+      timer: setTimeout(() => resolveRtmOffer(io, tournamentId, false), durationMs)
+    };
+
+    io.to(`team:${team._id}`).emit('rtm:offer', buildRtmOffer(engine.rtmOffer, player, winningTeam, team));
+    toTournament(tournamentId).emit('rtm:pending', {
+      playerId: player._id,
+      playerName: player.name,
+      teamId: team._id,
+      teamName: team.teamName,
+      winningTeamName: winningTeam.teamName,
+      amount,
+      expiresAt: engine.rtmOffer.expiresAt
     });
 
-    // Start auto auction — mode: 'set' (Set A++→A→B→C→D with intros) or 'random' (all players shuffled)
-    socket.on('admin:startAutoAuction', async ({ mode } = {}) => {
-      if (!adminSockets.has(socket.id)) {
-        return emitAdminError(socket, 'Unauthorized');
-      }
+    await recordEvent({
+      tournament: tournamentId,
+      type: 'RTM_OFFERED',
+      actor: systemActor('timer'),
+      player: player._id,
+      team: team._id,
+      amount,
+      payload: { winningTeam: winningTeam._id, roundKey: auctionState.roundKey }
+    });
 
-      // Block starting new auction if team summary is showing
-      if (isTeamSummaryShowing) {
-        return emitAdminError(socket, 'Team summary is showing. Please wait.');
-      }
+    console.log(`RTM offered to ${team.teamName} for ${player.name} at ₹${amount}L`);
+    return true;
+  }
 
-      try {
-        // Get all available players (not sold and marked as available)
-        const availablePlayers = await Player.find({
-          status: { $ne: 'SOLD' },
-          availability: { $in: ['AVAILABLE', null] }
-        });
+  function buildRtmOffer(offer, player, winningTeam, team) {
+    return {
+      playerId: player._id,
+      playerName: player.name,
+      winningTeamName: winningTeam.teamName,
+      amount: offer.amount,
+      rtmCardsRemaining: team.rtmCardsRemaining,
+      expiresAt: offer.expiresAt
+    };
+  }
 
-        if (availablePlayers.length === 0) {
-          return emitAdminError(socket, 'No players available for auction');
-        }
+  // Close the pending RTM offer (accepted by the team, or declined / timed out) and settle the round
+  async function resolveRtmOffer(io, tournamentId, accepted, team = null) {
+    const engine = getEngine(tournamentId);
+    const offer = engine.rtmOffer;
+    if (!offer) return;
+
+    clearTimeout(offer.timer);
+    engine.rtmOffer = null;
+
+    await recordEvent({
+      tournament: tournamentId,
+      type: accepted ? 'RTM_ACCEPTED' : 'RTM_DECLINED',
+      actor: team ? teamActor(team) : systemActor('rtm-timeout'),
+      player: offer.playerId,
+      team: offer.teamId,
+      amount: offer.amount,
+      payload: { roundKey: offer.roundKey }
+    });
 
-        // Fisher-Yates shuffle helper
-        const shuffle = (arr) => {
-          const a = [...arr];
-          for (let i = a.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [a[i], a[j]] = [a[j], a[i]];
-          }
-          return a;
-        };
+    toTournament(tournamentId).emit('rtm:resolved', {
+      playerId: offer.playerId,
+      teamId: offer.teamId,
+      accepted
+    });
 
-        playerQueue = [];
-        unsoldPlayers = [];
-        isAutoAuction = true;
-        currentSetName = null;
-        inUnsoldRound = false;
-        isRandomMode = mode === 'random';
+    await handleAutoSold(io, tournamentId, { rtmDecided: true, rtmTeamId: accepted ? offer.teamId : null });
+  }
 
-        if (isRandomMode) {
-          // Random mode: shuffle ALL available players regardless of set/price
-          playerQueue = shuffle(availablePlayers.map(p => p._id.toString()));
-          remainingSetOrder = [];
-          setQueues = {};
+  // Drop a pending RTM offer without settling (round reset or player pulled)
+  function cancelRtmOffer(tournamentId) {
+    const engine = getEngine(tournamentId);
+    if (!engine.rtmOffer) return;
+
+    clearTimeout(engine.rtmOffer.timer);
+    toTournament(tournamentId).emit('rtm:resolved', {
+      playerId: engine.rtmOffer.playerId,
+      teamId: engine.rtmOffer.teamId,
+      accepted: false,
+      cancelled: true
+    });
+    engine.rtmOffer = null;
+  }
 
-          io.to('admin').emit('autoAuction:started', {
-            totalPlayers: availablePlayers.length,
-            queueLength: availablePlayers.length,
-            mode: 'random',
-          });
+  function buildSealedRoundInfo(round, player, eligibleTeams) {
+    return {
+      playerId: player._id,
+      playerName: player.name,
+      minBid: round.minBid,
+      deadline: round.deadline,
+      tieRule: round.tieRule,
+      eligibleTeams: eligibleTeams.map(team => ({ _id: team._id, teamName: team.teamName }))
+    };
+  }
 
-          // Start immediately — no set intro needed
-          await processNextPlayerInQueue(io);
-        } else {
-          // Set-wise mode: group by base price and show set intros
-          const rawSets = { APP: [], A: [], B: [], C: [], D: [] };
-          for (const player of availablePlayers) {
-            if (player.basePrice >= 200) rawSets.APP.push(player._id.toString());
-            else if (player.basePrice >= 150) rawSets.A.push(player._id.toString());
-            else if (player.basePrice >= 100) rawSets.B.push(player._id.toString());
-            else if (player.basePrice >= 50)  rawSets.C.push(player._id.toString());
-            else                               rawSets.D.push(player._id.toString());
-          }
-          setQueues = {
-            APP: shuffle(rawSets.APP),
-            A: shuffle(rawSets.A),
-            B: shuffle(rawSets.B),
-            C: shuffle(rawSets.C),
-            D: shuffle(rawSets.D),
-          };
-
-          remainingSetOrder = SET_ORDER.filter(s => setQueues[s].length > 0);
-          if (remainingSetOrder.length === 0) {
-            return emitAdminError(socket, 'No players available for auction');
-          }
+  // Open every sealed bid at once, move the high bid to the winner and settle the round
+  async function revealSealedRound(io, tournamentId) {
+    const engine = getEngine(tournamentId);
+    const round = engine.sealedRound;
+    if (!round) return;
 
-          const setBreakdown = {};
-          SET_ORDER.forEach(s => { setBreakdown[s] = setQueues[s].length; });
+    clearTimeout(round.timer);
+    engine.sealedRound = null;
+    engine.closingRound = true; // Open bidding doesn't come back after a sealed round
 
-          io.to('admin').emit('autoAuction:started', {
-            totalPlayers: availablePlayers.length,
-            queueLength: availablePlayers.length,
-            setBreakdown,
-            setsWithPlayers: remainingSetOrder,
-            mode: 'set',
-          });
+    try {
+      const teams = await Team.find({ _id: { $in: [...round.bids.keys()] } }).select('teamName remainingPoints');
+      const teamsById = new Map(teams.map(team => [team._id.toString(), team]));
+
+      // Highest amount wins; equal amounts go by the tournament's tie rule
+      const ranked = [...round.bids.entries()]
+        .map(([teamId, bid]) => ({ team: teamsById.get(teamId), ...bid }))
+        .filter(entry => entry.team)
+        .sort((a, b) => {
+          if (b.amount !== a.amount) return b.amount - a.amount;
+          if (round.tieRule === 'LARGER_PURSE' && b.team.remainingPoints !== a.team.remainingPoints) {
+            return b.team.remainingPoints - a.team.remainingPoints;
+          }
+          return a.submittedAt - b.submittedAt;
+        });
 
-          // Start intro for first set
-          await startNextSetIntro(io);
-        }
+      const winner = ranked[0] || null;
+      const tieBroken = ranked.length > 1 && ranked[1].amount === winner.amount;
 
-      } catch (error) {
-        console.error('Auto auction start error:', error);
-        emitAdminError(socket, 'Failed to start auto auction');
+      if (winner) {
+        await AuctionState.updateOne(
+          { tournament: tournamentId, roundKey: round.roundKey, isActive: true },
+          { $set: { currentHighBid: { amount: winner.amount, team: winner.team._id }, lastBidAt: new Date() } }
+        );
       }
-    });
-
-    // Stop auto auction
-    socket.on('admin:stopAutoAuction', async () => {
-      if (!adminSockets.has(socket.id)) return;
 
-      isAutoAuction = false;
-      isRandomMode = false;
-      stopTimer();
+      const bids = ranked.map(entry => ({
+        teamId: entry.team._id,
+        teamName: entry.team.teamName,
+        amount: entry.amount,
+        submittedAt: entry.submittedAt
+      }));
+
+      toTournament(tournamentId).emit('sealed:revealed', {
+        playerId: round.playerId,
+        bids,
+        winner: winner ? { teamId: winner.team._id, teamName: winner.team.teamName, amount: winner.amount } : null,
+        tieBroken,
+        tieRule: round.tieRule
+      });
 
-      // Clear any pending set intro timer
-      if (setIntroTimer) {
-        clearTimeout(setIntroTimer);
-        setIntroTimer = null;
-      }
-      currentSetName = null;
-      remainingSetOrder = [];
-      inUnsoldRound = false;
-
-      io.emit('set:introAborted');
-      io.to('admin').emit('autoAuction:stopped', {
-        remainingInQueue: playerQueue.length,
-        unsoldCount: unsoldPlayers.length
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'SEALED_ROUND_REVEALED',
+        actor: systemActor('sealed-round'),
+        player: round.playerId,
+        team: winner?.team._id,
+        amount: winner?.amount,
+        payload: { roundKey: round.roundKey, bids, tieBroken, tieRule: round.tieRule }
       });
-    });
 
-    // Get auto auction status
-    socket.on('admin:getAutoAuctionStatus', () => {
-      if (!adminSockets.has(socket.id)) return;
+      // No sealed bids: the standing open bid (if any) decides
+      await handleAutoSold(io, tournamentId);
+    } catch (error) {
+      console.error('Sealed round reveal error:', error);
+      await holdUnsettledRound(tournamentId, error.message);
+    }
+  }
 
-      socket.emit('autoAuction:status', {
-        isActive: isAutoAuction,
-        queueLength: playerQueue.length,
-        unsoldCount: unsoldPlayers.length,
-        totalRemaining: playerQueue.length + unsoldPlayers.length,
-        currentSet: currentSetName,
-        remainingSets: remainingSetOrder.length,
-        inUnsoldRound,
-        mode: isRandomMode ? 'random' : 'set',
-      });
-    });
+  function cancelSealedRound(tournamentId) {
+    const engine = getEngine(tournamentId);
+    if (!engine.sealedRound) return;
 
-    // Handle disconnection
-    socket.on('disconnect', async () => {
-      console.log(`Client disconnected: ${socket.id}`);
+    clearTimeout(engine.sealedRound.timer);
+    toTournament(tournamentId).emit('sealed:cancelled', { playerId: engine.sealedRound.playerId });
+    engine.sealedRound = null;
+  }
 
-      // Handle team disconnect
-      const teamId = connectedTeams.get(socket.id);
-      if (teamId) {
-        try {
-          await Team.findByIdAndUpdate(teamId, { 
-            isOnline: false,
-            lastActive: new Date()
-          });
-          connectedTeams.delete(socket.id);
-          broadcastTeamStatus();
-        } catch (error) {
-          console.error('Disconnect error:', error);
+  // Persist the in-memory engine so a restart can pick up where it stopped
+  async function saveEngineState(tournamentId) {
+    const engine = getEngine(tournamentId);
+    try {
+      await AuctionState.updateOne(
+        { tournament: tournamentId },
+        {
+          $set: {
+            engine: {
+              isAutoAuction: engine.isAutoAuction,
+              isRandomMode: engine.isRandomMode,
+              playerQueue: engine.playerQueue,
+              unsoldPlayers: engine.unsoldPlayers,
+              setQueues: engine.setQueues,
+              setDetails: engine.setDetails,
+              remainingSetOrder: engine.remainingSetOrder,
+              currentSetName: engine.currentSetName,
+              inUnsoldRound: engine.inUnsoldRound,
+              inAcceleratedRound: engine.inAcceleratedRound,
+              savedAt: new Date()
+            }
+          }
         }
-      }
-
-      // Handle admin disconnect
-      if (adminSockets.has(socket.id)) {
-        adminSockets.delete(socket.id);
-      }
+      );
+    } catch (error) {
+      console.error('Save engine state error:', error);
+    }
+  }
 
-      // Handle big screen disconnect
-      if (bigScreenSockets.has(socket.id)) {
-        bigScreenSockets.delete(socket.id);
+  // Rebuild a tournament's engine from its snapshot; a live auction comes back paused
+  async function restoreEngineState(auctionState) {
+    const saved = auctionState.engine;
+    const hasLivePlayer = auctionState.isActive && auctionState.currentPlayer;
+    if (!saved || (!saved.isAutoAuction && !hasLivePlayer)) return;
+
+    const tournamentId = auctionState.tournament.toString();
+    const engine = getEngine(tournamentId);
+
+    Object.assign(engine, {
+      isAutoAuction: saved.isAutoAuction,
+      isRandomMode: saved.isRandomMode,
+      playerQueue: [...saved.playerQueue],
+      unsoldPlayers: [...saved.unsoldPlayers],
+      setQueues: Object.fromEntries(saved.setQueues || []),
+      setDetails: Object.fromEntries(saved.setDetails || []),
+      remainingSetOrder: [...saved.remainingSetOrder],
+      currentSetName: saved.currentSetName,
+      inUnsoldRound: saved.inUnsoldRound,
+      inAcceleratedRound: saved.inAcceleratedRound,
+    });
 
-        // Safety: if all big screens disconnect while summary flag is on, unblock auctions.
-        if (bigScreenSockets.size === 0 && isTeamSummaryShowing) {
-          isTeamSummaryShowing = false;
-          io.to('admin').emit('teamSummary:showing', { isShowing: false });
-        }
+    if (hasLivePlayer) {
+      const { settings } = await Tournament.findById(tournamentId);
+      engine.bidResetSeconds = engine.inAcceleratedRound
+        ? settings.acceleratedRound.timerSeconds
+        : settings.timer.bidResetSeconds;
+
+      // Freeze the current player; admin:resumeAuction continues the countdown. A clock that ran
+      // out while the server was down gets a fresh bid window instead of selling on resume.
+      const savedTimer = auctionState.timer || {};
+      let remainingMs = savedTimer.remainingMs;
+      if (savedTimer.deadline) {
+        remainingMs = new Date(savedTimer.deadline).getTime() - Date.now();
       }
-    });
-  });
+      if (!(remainingMs > 0)) {
+        remainingMs = engine.bidResetSeconds * 1000;
+      }
+      timers.restorePaused(tournamentId, remainingMs, savedTimer.durationMs);
 
-  // Timer functions
-  function startTimer(io) {
-    stopTimer(); // Clear any existing timer
-    timerValue = Number.parseInt(process.env.TIMER_DURATION) || 100;
+      auctionState.isPaused = true;
+      auctionState.biddingClosed = false; // A sale cut short by the restart is retried when the clock runs out
+      auctionState.timer = { deadline: null, remainingMs, durationMs: savedTimer.durationMs };
+      await auctionState.save();
+    } else {
+      engine.awaitingResume = true;
+    }
 
-    // Broadcast initial timer value
-    io.emit('timer:update', { value: timerValue });
+    console.log(`Restored auction engine for tournament ${tournamentId} (paused, ${engine.playerQueue.length} queued)`);
+  }
 
-    auctionTimer = setInterval(async () => {
-      timerValue--;
-      
-      // Broadcast timer update
-      io.emit('timer:update', { value: timerValue });
+  // Forget a deleted tournament: cancel its countdown and pending timers and drop its engine
+  function dropTournament(tournamentId) {
+    const key = tournamentId.toString();
+    timers.remove(key);
+
+    const engine = engines.get(key);
+    if (!engine) return;
+    clearTimeout(engine.setIntroTimer);
+    clearTimeout(engine.rtmOffer?.timer);
+    clearTimeout(engine.sealedRound?.timer);
+    engines.delete(key);
+  }
 
-      // Timer hit zero - auto SOLD
-      if (timerValue <= 0) {
-        stopTimer();
-        await handleAutoSold(io);
-      }
-    }, 1000);
+  // Timer functions (the countdown itself lives in the timer service; expiry sells the player)
+  function startTimer(io, tournamentId, seconds) {
+    timers.start(tournamentId, seconds);
   }
 
-  function stopTimer() {
-    if (auctionTimer) {
-      clearInterval(auctionTimer);
-      auctionTimer = null;
-    }
+  function stopTimer(tournamentId) {
+    timers.stop(tournamentId);
   }
 
-  function resetTimer(io) {
-    // Reset timer to 10 seconds on every new bid (standard auction behavior)
-    timerValue = 30;
-    io.emit('timer:reset', { value: timerValue });
+  // Every accepted bid puts the tournament's bid window back on the clock
+  function resetTimer(io, tournamentId) {
+    const engine = getEngine(tournamentId);
+    timers.reset(tournamentId, engine.bidResetSeconds || DEFAULT_BID_RESET_SECONDS);
   }
 
-  async function handleAutoSold(io) {
-    stopTimer();
+  // rtmDecided: the previous team already accepted (rtmTeamId) or declined its RTM offer
+  async function handleAutoSold(io, tournamentId, { rtmDecided = false, rtmTeamId = null } = {}) {
+    const engine = getEngine(tournamentId);
+    stopTimer(tournamentId);
+    // Close bidding before the first await; the high bid read below is the one that gets settled
+    engine.closingRound = true;
+    let settled = false;
 
     try {
-      const auctionState = await AuctionState.findOne()
+      const auctionState = await AuctionState.findOneAndUpdate(
+        { tournament: tournamentId, isActive: true },
+        { $set: { biddingClosed: true } },
+        { new: true }
+      )
         .populate('currentPlayer')
         .populate('currentHighBid.team');
 
       if (!auctionState || !auctionState.currentPlayer) return;
 
-      const player = auctionState.currentPlayer;
-      const winningTeam = auctionState.currentHighBid.team;
       const soldPrice = auctionState.currentHighBid.amount;
+      const highBidder = auctionState.currentHighBid.team;
 
-      if (winningTeam) {
-        // Update player
-        player.status = 'SOLD';
-        player.soldTo = winningTeam._id;
-        player.soldPrice = soldPrice;
-        player.soldAt = new Date();
-        await player.save();
+      // The player's previous team gets a chance to match before the sale settles
+      if (highBidder && !rtmDecided && await offerRtm(io, tournamentId, auctionState)) {
+        return;
+      }
+
+      // Player, team and auction state are written in one transaction, once per round
+      settled = await settleSale({
+        tournamentId,
+        roundKey: auctionState.roundKey,
+        playerId: auctionState.currentPlayer._id,
+        teamId: rtmTeamId || highBidder?._id || null,
+        amount: soldPrice,
+        rtmMatchedTeamId: rtmTeamId ? highBidder._id : null
+      });
+      if (!settled) {
+        console.log(`Round ${auctionState.roundKey} already settled, skipping`);
+        settled = true; // Nothing left to recover
+        return;
+      }
 
-        // Update team
-        winningTeam.remainingPoints -= soldPrice;
-        winningTeam.rosterSlotsFilled += 1;
-        winningTeam.players.push(player._id);
-        await winningTeam.save();
+      // Ceilings for a sold player are no longer needed (an unsold player keeps them for a later round)
+      if (rtmTeamId || highBidder) {
+        await ProxyBid.deleteMany({ player: auctionState.currentPlayer._id });
+      }
 
-        // Update recently sold
-        auctionState.recentlySold.unshift({
-          player: player._id,
-          team: winningTeam._id,
-          amount: soldPrice,
-          soldAt: new Date()
-        });
-        if (auctionState.recentlySold.length > 10) {
-          auctionState.recentlySold = auctionState.recentlySold.slice(0, 10);
-        }
-      } else {
-        // No bids - mark unsold
-        player.status = 'UNSOLD';
-        await player.save();
+      const player = await Player.findById(auctionState.currentPlayer._id);
+      const winningTeam = rtmTeamId || highBidder
+        ? await Team.findById(rtmTeamId || highBidder._id)
+        : null;
 
+      if (!winningTeam) {
         // Add to unsold queue if in auto auction mode
-        if (isAutoAuction && !unsoldPlayers.includes(player._id.toString())) {
-          unsoldPlayers.push(player._id.toString());
-          io.to('admin').emit('autoAuction:playerUnsold', {
+        if (engine.isAutoAuction && !engine.unsoldPlayers.includes(player._id.toString())) {
+          engine.unsoldPlayers.push(player._id.toString());
+          await saveEngineState(tournamentId);
+          toAdmins(tournamentId).emit('autoAuction:playerUnsold', {
             playerId: player._id,
             playerName: player.name,
-            unsoldCount: unsoldPlayers.length,
-            currentSet: currentSetName,
+            unsoldCount: engine.unsoldPlayers.length,
+            currentSet: engine.currentSetName,
           });
         }
       }
 
-      // Reset auction state
-      auctionState.isActive = false;
-      auctionState.currentPlayer = null;
-      auctionState.currentHighBid = { amount: 5, team: null };
-      await auctionState.save();
-
       // Broadcast SOLD event
-      io.emit('player:sold', {
+      toTournament(tournamentId).emit('player:sold', {
         player: player,
         team: winningTeam ? {
           id: winningTeam._id,
@@ -799,11 +2389,12 @@ module.exports = (io) => {
           logo: winningTeam.logo,
           remainingPoints: winningTeam.remainingPoints
         } : null,
-        amount: soldPrice
+        amount: soldPrice,
+        viaRtm: !!rtmTeamId
       });
 
       // Broadcast auction ended event with updated state
-      io.emit('auction:ended', {
+      toTournament(tournamentId).emit('auction:ended', {
         player: player,
         team: winningTeam ? {
           id: winningTeam._id,
@@ -816,166 +2407,261 @@ module.exports = (io) => {
       });
 
       // Broadcast updated auction state to all clients
-      const updatedState = await AuctionState.findOne()
+      const updatedState = await AuctionState.findOne({ tournament: tournamentId })
         .populate('currentPlayer')
         .populate('currentHighBid.team');
-      io.emit('auction:state', {
+      toTournament(tournamentId).emit('auction:state', {
         state: updatedState,
-        timerValue: 0
+        timerValue: 0,
+        timer: timers.getSnapshot(tournamentId)
       });
 
       // Update team status
-      broadcastTeamStatus();
+      broadcastTeamStatus(tournamentId);
 
       // If in auto auction mode, process next player
-      if (isAutoAuction) {
+      if (engine.isAutoAuction) {
         setTimeout(async () => {
-          await processNextPlayerInQueue(io);
+          await processNextPlayerInQueue(io, tournamentId);
         }, 17000); // 17 seconds delay: 5s sold animation + 10s team summary + 2s buffer
       }
 
     } catch (error) {
       console.error('Auto-sold error:', error);
+      if (!settled) {
+        await holdUnsettledRound(tournamentId, error.message);
+      }
+    }
+  }
+
+  // A sale that could not be settled must not leave the round live without a clock:
+  // pause it with a fresh bid window and tell the admins why. Resuming retries the sale
+  // when that window runs out; the admin can also remove or reset the player instead.
+  async function holdUnsettledRound(tournamentId, reason) {
+    const engine = getEngine(tournamentId);
+    const remainingMs = (engine.bidResetSeconds || DEFAULT_BID_RESET_SECONDS) * 1000;
+
+    try {
+      const auctionState = await AuctionState.findOneAndUpdate(
+        { tournament: tournamentId, isActive: true },
+        {
+          $set: {
+            isPaused: true,
+            biddingClosed: false,
+            timer: { deadline: null, remainingMs, durationMs: remainingMs }
+          }
+        },
+        { new: true }
+      );
+      if (!auctionState) return;
+
+      timers.restorePaused(tournamentId, remainingMs, remainingMs);
+      engine.closingRound = false;
+      const timer = timers.getSnapshot(tournamentId);
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'AUCTION_PAUSED',
+        actor: systemActor('settlement'),
+        player: auctionState.currentPlayer,
+        payload: { remainingMs, reason }
+      });
+
+      toAdmins(tournamentId).emit('admin:error', { message: `Sale could not be completed: ${reason}. The auction is paused` });
+      toTournament(tournamentId).emit('auction:paused', { timer });
+      console.warn(`⏸️ Round paused after a failed sale: ${reason}`);
+    } catch (error) {
+      console.error('Failed to pause unsettled round:', error);
     }
   }
 
-  async function processNextPlayerInQueue(io) {
+  // Upcoming queue in auction order plus the players waiting for the unsold round
+  async function buildQueueSnapshot(tournamentId) {
+    const engine = getEngine(tournamentId);
+    const ids = [...engine.playerQueue, ...engine.unsoldPlayers];
+    const players = await Player.find({ _id: { $in: ids } })
+      .select('name photo category basePrice isOverseas status tags');
+    const byId = new Map(players.map(player => [player._id.toString(), player]));
+    const details = (list) => list.map(id => byId.get(id)).filter(Boolean);
+
+    return {
+      isActive: engine.isAutoAuction,
+      currentSet: engine.currentSetName,
+      inUnsoldRound: engine.inUnsoldRound,
+      queue: details(engine.playerQueue),
+      unsold: details(engine.unsoldPlayers),
+      upcomingSets: engine.remainingSetOrder.map(name => ({
+        set: name,
+        count: (engine.setQueues[name] || []).length
+      }))
+    };
+  }
+
+  async function processNextPlayerInQueue(io, tournamentId) {
+    const engine = getEngine(tournamentId);
+
     try {
       // Players still remaining in current set queue
-      if (playerQueue.length > 0) {
-        const playerId = playerQueue.shift();
-
-        io.to('admin').emit('autoAuction:queueUpdate', {
-          queueLength: playerQueue.length,
-          unsoldCount: unsoldPlayers.length,
-          totalRemaining: playerQueue.length + unsoldPlayers.length,
-          currentSet: currentSetName,
-          inUnsoldRound,
+      if (engine.playerQueue.length > 0) {
+        const playerId = engine.playerQueue.shift();
+        await saveEngineState(tournamentId);
+
+        toAdmins(tournamentId).emit('autoAuction:queueUpdate', {
+          queueLength: engine.playerQueue.length,
+          unsoldCount: engine.unsoldPlayers.length,
+          totalRemaining: engine.playerQueue.length + engine.unsoldPlayers.length,
+          currentSet: engine.currentSetName,
+          inUnsoldRound: engine.inUnsoldRound,
         });
 
-        const player = await Player.findById(playerId);
-        if (player && player.status !== 'SOLD') {
-          await startAuctionForPlayer(io, playerId);
+        const player = await Player.findOne({ _id: playerId, tournament: tournamentId });
+        if (isAuctionable(player)) {
+          await startAuctionForPlayer(io, tournamentId, playerId);
         } else {
-          await processNextPlayerInQueue(io);
+          if (player) console.log(`Skipping ${player.name}: no longer available for auction`);
+          await processNextPlayerInQueue(io, tournamentId);
         }
         return;
       }
 
       // Current set queue is empty — retry unsold players once (not if already in retry round)
-      if (!inUnsoldRound && unsoldPlayers.length > 0) {
-        inUnsoldRound = true;
-        const shuffledUnsold = [...unsoldPlayers];
+      if (!engine.inUnsoldRound && engine.unsoldPlayers.length > 0) {
+        // Accelerated round: only players the teams nominate come back (admin opens/closes the window)
+        const tournament = await Tournament.findById(tournamentId);
+        if (tournament.settings.acceleratedRound.enabled) {
+          if (!engine.nominationWindow) {
+            engine.nominationWindow = {
+              open: false,
+              candidates: [...engine.unsoldPlayers],
+              nominations: new Map(),
+              maxPerTeam: tournament.settings.acceleratedRound.maxNominationsPerTeam
+            };
+            toAdmins(tournamentId).emit('autoAuction:nominationsPending', {
+              count: engine.unsoldPlayers.length,
+              currentSet: engine.currentSetName,
+            });
+          }
+          return;
+        }
+
+        engine.inUnsoldRound = true;
+        const shuffledUnsold = [...engine.unsoldPlayers];
         for (let i = shuffledUnsold.length - 1; i > 0; i--) {
           const j = Math.floor(Math.random() * (i + 1));
           [shuffledUnsold[i], shuffledUnsold[j]] = [shuffledUnsold[j], shuffledUnsold[i]];
         }
-        playerQueue = shuffledUnsold;
-        unsoldPlayers = [];
-
-        const cfg = SET_CONFIG[currentSetName];
-        io.to('admin').emit('autoAuction:unsoldRound', {
-          message: `Re-auctioning unsold players from ${cfg ? cfg.label : 'current set'}`,
-          count: playerQueue.length,
-          currentSet: currentSetName,
+        engine.playerQueue = shuffledUnsold;
+        engine.unsoldPlayers = [];
+        await saveEngineState(tournamentId);
+
+        toAdmins(tournamentId).emit('autoAuction:unsoldRound', {
+          message: `Re-auctioning unsold players from ${engine.currentSetName || 'current set'}`,
+          count: engine.playerQueue.length,
+          currentSet: engine.currentSetName,
         });
-        await processNextPlayerInQueue(io);
+        await processNextPlayerInQueue(io, tournamentId);
         return;
       }
 
       // This set is fully done (including unsold retry)
-      const cfg = SET_CONFIG[currentSetName];
-      io.emit('set:complete', {
-        set: currentSetName,
-        label: cfg ? cfg.label : `Set ${currentSetName}`,
+      toTournament(tournamentId).emit('set:complete', {
+        set: engine.currentSetName,
+        label: engine.currentSetName,
       });
-      io.to('admin').emit('autoAuction:setComplete', {
-        set: currentSetName,
-        label: cfg ? cfg.label : `Set ${currentSetName}`,
+      toAdmins(tournamentId).emit('autoAuction:setComplete', {
+        set: engine.currentSetName,
+        label: engine.currentSetName,
       });
 
-      inUnsoldRound = false;
-      unsoldPlayers = [];
-      playerQueue = [];
+      engine.inUnsoldRound = false;
+      engine.inAcceleratedRound = false;
+      engine.unsoldPlayers = [];
+      engine.playerQueue = [];
+      if (engine.remainingSetOrder.length === 0) engine.isAutoAuction = false;
+      await saveEngineState(tournamentId);
 
-      if (remainingSetOrder.length > 0) {
+      if (engine.remainingSetOrder.length > 0) {
         // 5-second pause, then start next set intro
         setTimeout(async () => {
-          await startNextSetIntro(io);
+          await startNextSetIntro(io, tournamentId);
         }, 5000);
       } else {
-        isAutoAuction = false;
-        io.to('admin').emit('autoAuction:completed', {
+        engine.isAutoAuction = false;
+        toAdmins(tournamentId).emit('autoAuction:completed', {
           message: 'All sets have been auctioned'
         });
-        io.emit('auction:allCompleted');
+        toTournament(tournamentId).emit('auction:allCompleted');
       }
     } catch (error) {
       console.error('Queue processing error:', error);
     }
   }
 
-  // Broadcast a 30-second set introduction then begin the set
-  async function startNextSetIntro(io) {
+  // Broadcast the set introduction (length set per set) then begin the set
+  async function startNextSetIntro(io, tournamentId) {
+    const engine = getEngine(tournamentId);
+
     try {
-      currentSetName = remainingSetOrder.shift();
-      const cfg = SET_CONFIG[currentSetName];
-      playerQueue = [...(setQueues[currentSetName] || [])];
-      unsoldPlayers = [];
-      inUnsoldRound = false;
+      engine.currentSetName = engine.remainingSetOrder.shift();
+      const details = engine.setDetails[engine.currentSetName] || {};
+      const setInfo = {
+        set: engine.currentSetName,
+        label: engine.currentSetName,
+        basePrice: details.minBasePrice ?? null,
+        maxBasePrice: details.maxBasePrice ?? null,
+      };
+      engine.playerQueue = [...(engine.setQueues[engine.currentSetName] || [])];
+      engine.unsoldPlayers = [];
+      engine.inUnsoldRound = false;
+      engine.inAcceleratedRound = false;
+      await saveEngineState(tournamentId);
 
       // Fetch full player documents for the intro screen
       const playersData = await Player.find({
-        _id: { $in: setQueues[currentSetName] || [] },
+        _id: { $in: engine.setQueues[engine.currentSetName] || [] },
         status: { $ne: 'SOLD' },
       });
 
-      const INTRO_DURATION = 30000;
+      const INTRO_DURATION = (details.introSeconds ?? 30) * 1000;
 
-      io.emit('set:intro', {
-        set: currentSetName,
-        label: cfg.label,
-        basePrice: cfg.basePrice,
+      toTournament(tournamentId).emit('set:intro', {
+        ...setInfo,
         players: playersData,
         totalPlayers: playersData.length,
         duration: INTRO_DURATION,
       });
 
-      io.to('admin').emit('autoAuction:setIntroStarted', {
-        set: currentSetName,
-        label: cfg.label,
-        basePrice: cfg.basePrice,
+      toAdmins(tournamentId).emit('autoAuction:setIntroStarted', {
+        ...setInfo,
         totalPlayers: playersData.length,
-        remainingSets: remainingSetOrder.length,
+        remainingSets: engine.remainingSetOrder.length,
       });
 
-      console.log(`Set ${currentSetName} intro started (${INTRO_DURATION / 1000}s)`);
+      console.log(`Set ${engine.currentSetName} intro started (${INTRO_DURATION / 1000}s)`);
 
-      setIntroTimer = setTimeout(async () => {
-        setIntroTimer = null;
-        io.emit('set:started', {
-          set: currentSetName,
-          label: cfg.label,
-          basePrice: cfg.basePrice,
-          remaining: playerQueue.length,
+      engine.setIntroTimer = setTimeout(async () => {
+        engine.setIntroTimer = null;
+        toTournament(tournamentId).emit('set:started', {
+          ...setInfo,
+          remaining: engine.playerQueue.length,
         });
-        io.to('admin').emit('autoAuction:setStarted', {
-          set: currentSetName,
-          label: cfg.label,
-          basePrice: cfg.basePrice,
-          remaining: playerQueue.length,
+        toAdmins(tournamentId).emit('autoAuction:setStarted', {
+          ...setInfo,
+          remaining: engine.playerQueue.length,
         });
-        await processNextPlayerInQueue(io);
+        await processNextPlayerInQueue(io, tournamentId);
       }, INTRO_DURATION);
     } catch (error) {
       console.error('startNextSetIntro error:', error);
     }
   }
 
-  async function startAuctionForPlayer(io, playerId) {
+  async function startAuctionForPlayer(io, tournamentId, playerId, actor = systemActor('auto-auction')) {
+    const engine = getEngine(tournamentId);
+
     try {
-      const player = await Player.findById(playerId);
-      if (!player || player.status === 'SOLD') {
+      const player = await Player.findOne({ _id: playerId, tournament: tournamentId });
+      if (!isAuctionable(player)) {
         return;
       }
 
@@ -984,48 +2670,99 @@ module.exports = (io) => {
       await player.save();
 
       // Get or create auction state
-      let auctionState = await AuctionState.findOne();
+      let auctionState = await AuctionState.findOne({ tournament: tournamentId });
       if (!auctionState) {
-        auctionState = new AuctionState();
+        auctionState = new AuctionState({ tournament: tournamentId });
+      }
+
+      // Accelerated round opens below base price and runs on a shorter clock
+      const { settings } = await Tournament.findById(tournamentId);
+      let openingPrice = player.basePrice;
+      let timerSeconds = settings.timer.openingSeconds;
+      engine.bidResetSeconds = settings.timer.bidResetSeconds;
+      if (engine.inAcceleratedRound) {
+        const { acceleratedRound } = settings;
+        openingPrice = Math.max(1, Math.round(player.basePrice * (100 - acceleratedRound.basePriceCutPercent) / 100));
+        timerSeconds = acceleratedRound.timerSeconds;
+        engine.bidResetSeconds = acceleratedRound.timerSeconds;
       }
 
       auctionState.currentPlayer = player._id;
       auctionState.isActive = true;
       auctionState.isPaused = false;
+      auctionState.biddingClosed = false;
+      engine.closingRound = false;
       auctionState.currentHighBid = {
-        amount: player.basePrice,
+        amount: openingPrice,
         team: null
       };
       auctionState.auctionStartedAt = new Date();
+      auctionState.roundKey = newRoundKey();
       await auctionState.save();
 
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'AUCTION_STARTED',
+        actor,
+        player: player._id,
+        amount: openingPrice,
+        payload: { roundKey: auctionState.roundKey, set: engine.currentSetName, accelerated: engine.inAcceleratedRound }
+      });
+
       // Start timer
-      startTimer(io);
+      startTimer(io, tournamentId, timerSeconds);
+      const timer = timers.getSnapshot(tournamentId);
 
       // Broadcast to all clients
-      io.emit('auction:started', {
+      toTournament(tournamentId).emit('auction:started', {
         player: player,
-        basePrice: player.basePrice,
-        timerValue: timerValue
+        basePrice: openingPrice,
+        originalBasePrice: player.basePrice,
+        accelerated: engine.inAcceleratedRound,
+        timerValue: timer.value,
+        timer
       });
 
       // Also broadcast full auction state for immediate sync
-      const fullState = await AuctionState.findOne()
+      const fullState = await AuctionState.findOne({ tournament: tournamentId })
         .populate('currentPlayer')
         .populate('currentHighBid.team');
-      io.emit('auction:state', {
+      toTournament(tournamentId).emit('auction:state', {
         state: fullState,
-        timerValue: timerValue
+        timerValue: timer.value,
+        timer
       });
+
+      // Each team watching this player gets its own plan, privately
+      const watchers = await WatchlistEntry.find({ tournament: tournamentId, player: player._id });
+      for (const entry of watchers) {
+        io.to(`team:${entry.team}`).emit('watchlist:playerUp', {
+          playerId: player._id,
+          playerName: player.name,
+          openingPrice,
+          priority: entry.priority,
+          plannedMax: entry.plannedMax,
+          notes: entry.notes
+        });
+      }
+
+      // Ceilings registered ahead of time can open the bidding
+      await runProxyBids(io, tournamentId);
     } catch (error) {
       console.error('Start auction for player error:', error);
     }
   }
 
-  async function broadcastTeamStatus() {
+  async function broadcastTeamStatus(tournamentId) {
     try {
-      const teams = await Team.find().select('-pin');
-      io.emit('teams:status', { teams });
+      const tournament = await Tournament.findById(tournamentId);
+      const teams = await Team.find({ tournament: tournamentId }).select('-pin');
+      toTournament(tournamentId).emit('teams:status', {
+        teams: teams.map(team => ({
+          ...team.toObject(),
+          maxAllowedBid: getMaxAllowedBid(team, tournament.settings)
+        }))
+      });
     } catch (error) {
       console.error('Broadcast error:', error);
     }
@@ -1033,7 +2770,10 @@ module.exports = (io) => {
 
   async function sendAuctionState(socket) {
     try {
-      const auctionState = await AuctionState.findOne()
+      const tournamentId = socket.data.tournamentId;
+      const timer = timers.getSnapshot(tournamentId);
+      const timerValue = timer.value;
+      const auctionState = await AuctionState.findOne({ tournament: tournamentId })
         .populate('currentPlayer')
         .populate('currentHighBid.team')
         .populate('recentlySold.player')
@@ -1041,11 +2781,13 @@ module.exports = (io) => {
 
       const stateData = {
         state: auctionState,
-        timerValue: timerValue
+        timerValue: timerValue,
+        timer
       };
 
       console.log('🔄 Sending auction:state to socket:', {
         socketId: socket.id,
+        tournamentId,
         hasState: !!auctionState,
         isActive: auctionState?.isActive,
         hasCurrentPlayer: !!auctionState?.currentPlayer,
@@ -1056,10 +2798,19 @@ module.exports = (io) => {
       });
 
       socket.emit('auction:state', stateData);
-      
+
       console.log('✅ auction:state emitted successfully');
     } catch (error) {
       console.error('❌ Send state error:', error);
     }
   }
+
+  // dropTournament is used by the REST routes; the bidding internals are exposed for tests
+  return {
+    ready: startup,
+    dropTournament,
+    placeBid,
+    emitBidOutpaced,
+    stopTimer
+  };
 };
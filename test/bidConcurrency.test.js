@@ -0,0 +1,104 @@
+// Simultaneous bids at the same amount: exactly one is accepted, the rest are told what beat them.
+// Runs against an in-memory single-node replica set (settlement elsewhere needs transactions).
+// Skipped when no mongod binary is available (see test/globalSetup.js and MONGOMS_SYSTEM_BINARY).
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Tournament = require('../models/Tournament');
+const Team = require('../models/Team');
+const Player = require('../models/Player');
+const Bid = require('../models/Bid');
+const AuctionState = require('../models/AuctionState');
+const createAuctionSocket = require('../socket/auctionSocket');
+
+const BIDDERS = 8;
+
+const mongodUnavailable = process.env.MONGOD_UNAVAILABLE;
+if (mongodUnavailable) {
+  console.warn(`Skipping bid concurrency tests, no mongod binary: ${mongodUnavailable}\n` +
+    'Set MONGOMS_SYSTEM_BINARY to a local mongod to run them offline.');
+}
+const describeWithMongod = mongodUnavailable ? describe.skip : describe;
+
+let replSet;
+let io;
+let auction;
+
+describeWithMongod('simultaneous bids', () => {
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    io = new Server();
+    auction = createAuctionSocket(io);
+    await auction.ready;
+  }, 120000);
+
+  afterAll(async () => {
+    io?.close();
+    await mongoose.disconnect();
+    await replSet?.stop();
+  });
+
+  test('only one of several simultaneous bids at the next valid amount is accepted', async () => {
+    const tournament = await Tournament.create({ name: 'Concurrency Cup' });
+    const tournamentId = tournament._id.toString();
+
+    // Team 0 holds the current high bid; every other team races to raise it
+    const teams = await Team.create(Array.from({ length: BIDDERS + 1 }, (_, index) => ({
+      tournament: tournament._id,
+      teamName: `Team ${index}`,
+      captainName: `Captain ${index}`,
+      teamId: `T${index}`,
+      pin: '1234',
+      remainingPoints: 1000
+    })));
+    const player = await Player.create({
+      tournament: tournament._id,
+      name: 'Contested Player',
+      category: 'Batsman',
+      basePrice: 20,
+      status: 'IN_AUCTION'
+    });
+    await AuctionState.create({
+      tournament: tournament._id,
+      currentPlayer: player._id,
+      isActive: true,
+      isPaused: false,
+      currentHighBid: { amount: 20, team: teams[0]._id },
+      roundKey: 'concurrency-round'
+    });
+
+    // Default ladder: +5 below 50, so 25 is the only valid next bid
+    const bidders = teams.slice(1);
+    const results = await Promise.all(
+      bidders.map(team => auction.placeBid(io, tournamentId, team._id, 25))
+    );
+    auction.stopTimer(tournamentId);
+
+    const accepted = results.filter(result => result.bid);
+    const outpaced = results.filter(result => result.outpaced);
+    expect(accepted).toHaveLength(1);
+    expect(outpaced).toHaveLength(BIDDERS - 1);
+
+    const winner = accepted[0].team;
+    for (const result of outpaced) {
+      const emitted = [];
+      const socket = { emit: (event, payload) => emitted.push({ event, payload }) };
+      await auction.emitBidOutpaced(socket, tournamentId, result.ladder);
+
+      expect(emitted).toHaveLength(1);
+      expect(emitted[0].event).toBe('bid:error');
+      expect(emitted[0].payload).toMatchObject({
+        code: 'BID_OUTPACED',
+        currentBid: 25,
+        nextValidBid: 30
+      });
+      expect(emitted[0].payload.currentBidTeam._id.toString()).toBe(winner._id.toString());
+    }
+
+    expect(await Bid.countDocuments({ player: player._id })).toBe(1);
+    const state = await AuctionState.findOne({ tournament: tournament._id });
+    expect(state.currentHighBid.amount).toBe(25);
+    expect(state.currentHighBid.team.toString()).toBe(winner._id.toString());
+  });
+});
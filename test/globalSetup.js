@@ -0,0 +1,12 @@
+// Resolve the mongod binary once before any suite runs. MONGOMS_SYSTEM_BINARY points
+// mongodb-memory-server at a local mongod; without it a binary is downloaded and cached.
+// When neither works the database suites skip themselves instead of failing.
+const { MongoBinary } = require('mongodb-memory-server');
+
+module.exports = async () => {
+  try {
+    await MongoBinary.getPath();
+  } catch (error) {
+    process.env.MONGOD_UNAVAILABLE = error.message;
+  }
+};
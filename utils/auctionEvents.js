@@ -0,0 +1,122 @@
+// Helpers for the append-only auction event log (models/AuctionEvent.js)
+const AuctionEvent = require('../models/AuctionEvent');
+
+const adminActor = (admin) => ({ kind: 'admin', id: admin._id || admin.adminId, name: admin.username });
+const teamActor = (team) => ({ kind: 'team', id: team._id, name: team.teamName });
+const systemActor = (name) => ({ kind: 'system', id: null, name });
+
+// Append an event. Logging must never break the auction, so failures are only reported,
+// except inside a transaction where the caller's session decides.
+const recordEvent = async ({ tournament, type, actor, player, team, amount, payload }, session) => {
+  const event = {
+    tournament,
+    type,
+    actor,
+    player: player || null,
+    team: team || null,
+    amount: amount ?? null,
+    payload: payload || {}
+  };
+
+  if (session) {
+    await AuctionEvent.create([event], { session });
+    return;
+  }
+
+  try {
+    await AuctionEvent.create(event);
+  } catch (error) {
+    console.error(`Failed to record ${type} event:`, error);
+  }
+};
+
+// Rebuild purses, rosters and sales from the log. Teams that predate the log
+// start from the tournament's initial budget the first time they appear.
+const replayEvents = (events, initialBudget) => {
+  const teams = new Map();
+  const sales = new Map();
+
+  const getTeam = (teamId) => {
+    const key = teamId.toString();
+    if (!teams.has(key)) {
+      teams.set(key, { team: teamId, teamName: null, remainingPoints: initialBudget, players: new Map() });
+    }
+    return teams.get(key);
+  };
+
+  const releasePlayer = (playerId) => {
+    const sale = sales.get(playerId.toString());
+    if (!sale) return;
+    const team = teams.get(sale.team.toString());
+    if (team) {
+      team.remainingPoints += sale.amount;
+      team.players.delete(playerId.toString());
+    }
+    sales.delete(playerId.toString());
+  };
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'TEAM_CREATED': {
+        const team = getTeam(event.team);
+        team.teamName = event.payload.teamName || team.teamName;
+        team.remainingPoints = event.amount ?? initialBudget;
+        break;
+      }
+      case 'TEAM_DELETED':
+        teams.delete(event.team.toString());
+        break;
+      case 'PLAYER_SOLD':
+      case 'SALE_REDONE': {
+        releasePlayer(event.player); // A player can only belong to one team
+        const team = getTeam(event.team);
+        team.remainingPoints -= event.amount;
+        team.players.set(event.player.toString(), event.amount);
+        sales.set(event.player.toString(), {
+          player: event.player,
+          team: event.team,
+          amount: event.amount,
+          soldAt: event.timestamp,
+          source: event.payload.source || 'auction'
+        });
+        break;
+      }
+      case 'SALE_UNDONE':
+        releasePlayer(event.player);
+        break;
+      case 'AUCTION_DATA_RESET':
+        sales.clear();
+        for (const team of teams.values()) {
+          team.remainingPoints = event.amount ?? initialBudget;
+          team.players.clear();
+        }
+        break;
+      case 'ALL_DATA_CLEARED':
+        sales.clear();
+        teams.clear();
+        break;
+      default:
+        // Bids, pauses, starts etc. don't move money or players
+        break;
+    }
+  }
+
+  return {
+    teams: [...teams.values()].map(team => ({
+      team: team.team,
+      teamName: team.teamName,
+      remainingPoints: team.remainingPoints,
+      rosterSize: team.players.size,
+      players: [...team.players.entries()].map(([player, amount]) => ({ player, amount }))
+    })),
+    soldPlayers: [...sales.values()]
+  };
+};
+
+module.exports = {
+  adminActor,
+  teamActor,
+  systemActor,
+  recordEvent,
+  replayEvents
+};
@@ -0,0 +1,127 @@
+// Pure auction rule helpers shared by the socket engine and the REST routes
+
+// Default increment ladder: +5 below 50, +10 below 100, +20 above that
+const DEFAULT_BID_INCREMENTS = [
+  { upTo: 50, increment: 5 },
+  { upTo: 100, increment: 10 },
+  { upTo: null, increment: 20 }
+];
+
+// Ladder sorted by threshold, with the open-ended (upTo: null) tier last
+const sortLadder = (ladder) => {
+  const tiers = ladder && ladder.length > 0 ? ladder : DEFAULT_BID_INCREMENTS;
+  return [...tiers].sort((a, b) => {
+    if (a.upTo == null) return 1;
+    if (b.upTo == null) return -1;
+    return a.upTo - b.upTo;
+  });
+};
+
+// Tier that applies while the current bid is below its threshold
+const getTier = (ladder, amount) => {
+  const tiers = sortLadder(ladder);
+  return tiers.find(tier => tier.upTo == null || amount < tier.upTo) || tiers[tiers.length - 1];
+};
+
+const getIncrement = (ladder, amount) => getTier(ladder, amount).increment;
+
+// Lowest acceptable bid: the base price when nobody has bid yet, otherwise one step up
+const getNextBid = (ladder, currentAmount, hasBids) => {
+  if (!hasBids) return currentAmount;
+  return currentAmount + getIncrement(ladder, currentAmount);
+};
+
+// A bid is on the ladder if it can be reached from the next valid bid by whole steps
+const isOnLadder = (ladder, currentAmount, hasBids, amount) => {
+  let value = getNextBid(ladder, currentAmount, hasBids);
+
+  while (value < amount) {
+    const tier = getTier(ladder, value);
+
+    if (tier.upTo == null || amount < tier.upTo) {
+      return (amount - value) % tier.increment === 0;
+    }
+
+    // Jump to the first step at or beyond this tier's threshold
+    value += Math.ceil((tier.upTo - value) / tier.increment) * tier.increment;
+  }
+
+  return value === amount;
+};
+
+// Most a team may bid while still keeping base-price money for every empty slot
+// it must fill to reach the minimum squad size (the slot being bid on excluded)
+const getMaxAllowedBid = (team, { minSquadSize, minBasePrice }) => {
+  const slotsToReserve = Math.max(0, minSquadSize - (team.rosterSlotsFilled || 0) - 1);
+  return Math.max(0, team.remainingPoints - slotsToReserve * minBasePrice);
+};
+
+// Players per category plus the overseas count
+const countSquad = (players) => players.reduce((counts, player) => {
+  counts[player.category] = (counts[player.category] || 0) + 1;
+  if (player.isOverseas) counts.overseas += 1;
+  return counts;
+}, { overseas: 0 });
+
+// Every composition rule a squad breaks, as readable messages
+const getCompositionViolations = (players, { compositionRules = [], maxOverseas = null }) => {
+  const counts = countSquad(players);
+  const violations = [];
+
+  for (const rule of compositionRules) {
+    const count = counts[rule.category] || 0;
+    if (count < (rule.min || 0)) {
+      violations.push(`Needs at least ${rule.min} ${rule.category} (has ${count})`);
+    }
+    if (rule.max != null && count > rule.max) {
+      violations.push(`Allows at most ${rule.max} ${rule.category} (has ${count})`);
+    }
+  }
+
+  if (maxOverseas != null && counts.overseas > maxOverseas) {
+    violations.push(`Allows at most ${maxOverseas} overseas players (has ${counts.overseas})`);
+  }
+
+  return violations;
+};
+
+// Why buying this player would make a legal squad impossible, or null if it is fine
+const getCompositionBlocker = (players, player, { compositionRules = [], maxOverseas = null, maxSquadSize }) => {
+  const counts = countSquad([...players, player]);
+  const rule = compositionRules.find(r => r.category === player.category);
+
+  if (rule && rule.max != null && counts[player.category] > rule.max) {
+    return `Squad already has the maximum of ${rule.max} ${player.category} players`;
+  }
+
+  if (player.isOverseas && maxOverseas != null && counts.overseas > maxOverseas) {
+    return `Squad already has the maximum of ${maxOverseas} overseas players`;
+  }
+
+  // Remaining slots must still cover every category minimum not yet met
+  const openSlots = maxSquadSize - players.length - 1;
+  const slotsNeeded = compositionRules.reduce(
+    (sum, r) => sum + Math.max(0, (r.min || 0) - (counts[r.category] || 0)),
+    0
+  );
+  if (slotsNeeded > openSlots) {
+    const missing = compositionRules
+      .filter(r => (counts[r.category] || 0) < (r.min || 0))
+      .map(r => `${r.min - (counts[r.category] || 0)} ${r.category}`)
+      .join(', ');
+    return `Remaining slots are needed for ${missing}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_BID_INCREMENTS,
+  sortLadder,
+  getIncrement,
+  getNextBid,
+  isOnLadder,
+  getMaxAllowedBid,
+  getCompositionViolations,
+  getCompositionBlocker
+};
@@ -0,0 +1,41 @@
+// Resolve which auction set each player belongs to (models/AuctionSet.js)
+
+const hasRules = (rules = {}) =>
+  (rules.categories?.length > 0) ||
+  rules.minBasePrice != null ||
+  rules.maxBasePrice != null ||
+  (rules.tags?.length > 0);
+
+// A set with no rules only takes its explicitly listed players
+const matchesRules = (rules, player) => {
+  if (!hasRules(rules)) return false;
+  if (rules.categories?.length > 0 && !rules.categories.includes(player.category)) return false;
+  if (rules.minBasePrice != null && player.basePrice < rules.minBasePrice) return false;
+  if (rules.maxBasePrice != null && player.basePrice > rules.maxBasePrice) return false;
+  if (rules.tags?.length > 0 && !rules.tags.some(tag => (player.tags || []).includes(tag))) return false;
+  return true;
+};
+
+// Group player ids by set name. Explicit membership wins over rules, and a player
+// only lands in the first matching set (by order) so nobody is auctioned twice.
+const assignPlayersToSets = (sets, players) => {
+  const ordered = [...sets].sort((a, b) => a.order - b.order);
+  const assigned = new Map(ordered.map(set => [set.name, []]));
+  const unassigned = [];
+
+  for (const player of players) {
+    const id = player._id.toString();
+    const set =
+      ordered.find(s => s.players.some(p => p.toString() === id)) ||
+      ordered.find(s => matchesRules(s.rules, player));
+    if (set) assigned.get(set.name).push(id);
+    else unassigned.push(id);
+  }
+
+  return { ordered, assigned, unassigned };
+};
+
+module.exports = {
+  matchesRules,
+  assignPlayersToSets
+};
@@ -0,0 +1,149 @@
+// Authoritative auction countdown, one per tournament.
+// The deadline on the server clock is the source of truth: ticks, pauses and the REST
+// state are all derived from it, so a pause keeps the exact remaining milliseconds.
+
+const TICK_MS = 1000;
+
+// onChange(tournamentId, snapshot) fires on start/reset/pause/resume/stop/expiry and every tick;
+// onExpire(tournamentId) fires once when a running countdown reaches zero.
+const createTimerService = ({ onChange, onExpire }) => {
+  const timers = new Map();
+
+  const getTimer = (tournamentId) => {
+    const key = tournamentId.toString();
+    if (!timers.has(key)) {
+      timers.set(key, { deadline: null, remainingMs: null, durationMs: null, tick: null, expiry: null });
+    }
+    return timers.get(key);
+  };
+
+  const clearHandles = (timer) => {
+    clearInterval(timer.tick);
+    clearTimeout(timer.expiry);
+    timer.tick = null;
+    timer.expiry = null;
+  };
+
+  const getRemainingMs = (tournamentId) => {
+    const timer = getTimer(tournamentId);
+    if (timer.deadline) return Math.max(0, timer.deadline - Date.now());
+    return timer.remainingMs ?? 0;
+  };
+
+  // What clients need to count down locally: the deadline plus the server's clock to correct for skew
+  const getSnapshot = (tournamentId, reason = 'sync') => {
+    const timer = getTimer(tournamentId);
+    const remainingMs = getRemainingMs(tournamentId);
+    return {
+      reason,
+      running: Boolean(timer.deadline),
+      deadline: timer.deadline ? new Date(timer.deadline) : null,
+      remainingMs,
+      durationMs: timer.durationMs,
+      value: Math.ceil(remainingMs / 1000),
+      serverTime: new Date()
+    };
+  };
+
+  const run = (tournamentId, ms, reason) => {
+    const timer = getTimer(tournamentId);
+    clearHandles(timer);
+    timer.deadline = Date.now() + ms;
+    timer.remainingMs = null;
+
+    timer.expiry = setTimeout(() => {
+      clearHandles(timer);
+      timer.deadline = null;
+      timer.remainingMs = 0;
+      onChange(tournamentId, getSnapshot(tournamentId, 'expired'));
+      onExpire(tournamentId);
+    }, ms);
+    timer.tick = setInterval(() => onChange(tournamentId, getSnapshot(tournamentId, 'tick')), TICK_MS);
+
+    onChange(tournamentId, getSnapshot(tournamentId, reason));
+  };
+
+  // Opening countdown for a new player
+  const start = (tournamentId, seconds) => {
+    getTimer(tournamentId).durationMs = seconds * 1000;
+    run(tournamentId, seconds * 1000, 'start');
+  };
+
+  // Fresh bid window after every accepted bid
+  const reset = (tournamentId, seconds) => {
+    getTimer(tournamentId).durationMs = seconds * 1000;
+    run(tournamentId, seconds * 1000, 'reset');
+  };
+
+  const pause = (tournamentId) => {
+    const timer = getTimer(tournamentId);
+    if (!timer.deadline) return false;
+    timer.remainingMs = Math.max(0, timer.deadline - Date.now());
+    timer.deadline = null;
+    clearHandles(timer);
+    onChange(tournamentId, getSnapshot(tournamentId, 'paused'));
+    return true;
+  };
+
+  // Continue a paused countdown from exactly where it stopped
+  const resume = (tournamentId) => {
+    const timer = getTimer(tournamentId);
+    if (timer.deadline || timer.remainingMs == null) return false;
+    run(tournamentId, timer.remainingMs, 'resumed');
+    return true;
+  };
+
+  // Drop the countdown without firing onExpire (player sold, removed, reset ...)
+  const stop = (tournamentId) => {
+    const timer = getTimer(tournamentId);
+    if (!timer.deadline && timer.remainingMs == null) return;
+    clearHandles(timer);
+    timer.deadline = null;
+    timer.remainingMs = null;
+    onChange(tournamentId, getSnapshot(tournamentId, 'stopped'));
+  };
+
+  // Forget a tournament's countdown entirely, silently (the tournament was deleted)
+  const remove = (tournamentId) => {
+    const key = tournamentId.toString();
+    if (!timers.has(key)) return;
+    clearHandles(timers.get(key));
+    timers.delete(key);
+  };
+
+  // Load a paused countdown saved before a restart; admin resume continues it
+  const restorePaused = (tournamentId, remainingMs, durationMs = null) => {
+    const timer = getTimer(tournamentId);
+    clearHandles(timer);
+    timer.deadline = null;
+    timer.remainingMs = remainingMs;
+    timer.durationMs = durationMs;
+  };
+
+  const isRunning = (tournamentId) => Boolean(getTimer(tournamentId).deadline);
+
+  return {
+    start,
+    reset,
+    pause,
+    resume,
+    stop,
+    remove,
+    restorePaused,
+    isRunning,
+    getRemainingMs,
+    getSnapshot
+  };
+};
+
+// Remaining time of a persisted AuctionState.timer (for REST reads outside the socket process state)
+const getPersistedRemainingMs = (timer, now = Date.now()) => {
+  if (!timer) return 0;
+  if (timer.deadline) return Math.max(0, new Date(timer.deadline).getTime() - now);
+  return timer.remainingMs ?? 0;
+};
+
+module.exports = {
+  createTimerService,
+  getPersistedRemainingMs
+};
@@ -0,0 +1,80 @@
+// Brute-force protection for team PIN login: exponential backoff and temporary lockouts.
+// Team counters live on the Team document; per-IP counters are kept in memory.
+
+const MAX_BACKOFF_MS = 60 * 1000;
+const LOCK_MS = (Number.parseInt(process.env.TEAM_LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+
+const TEAM_POLICY = {
+  freeAttempts: 3,
+  maxAttempts: Number.parseInt(process.env.TEAM_LOGIN_MAX_ATTEMPTS) || 10
+};
+
+// Many captains share the venue Wi-Fi, so the per-IP budget is much larger
+const IP_POLICY = {
+  freeAttempts: 10,
+  maxAttempts: Number.parseInt(process.env.IP_LOGIN_MAX_ATTEMPTS) || 30
+};
+
+// Delay before the next attempt: free attempts first, then 1s, 2s, 4s ... capped at a minute
+const getBackoffMs = (failures, { freeAttempts }) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - freeAttempts), MAX_BACKOFF_MS);
+};
+
+// Apply one failed attempt to a counter object ({ failures, retryAt, lockedUntil })
+const applyFailure = (counter, policy, now = Date.now()) => {
+  counter.failures += 1;
+
+  if (counter.failures >= policy.maxAttempts) {
+    counter.failures = 0;
+    counter.retryAt = null;
+    counter.lockedUntil = new Date(now + LOCK_MS);
+    return true; // Locked out
+  }
+
+  const backoff = getBackoffMs(counter.failures, policy);
+  counter.retryAt = backoff ? new Date(now + backoff) : null;
+  return false;
+};
+
+// Milliseconds until a counter accepts another attempt (0 = allowed now)
+const getWaitMs = (counter, now = Date.now()) => {
+  const blockedUntil = Math.max(
+    counter.lockedUntil ? new Date(counter.lockedUntil).getTime() : 0,
+    counter.retryAt ? new Date(counter.retryAt).getTime() : 0
+  );
+  return Math.max(0, blockedUntil - now);
+};
+
+const ipCounters = new Map();
+
+const getIpCounter = (ip) => {
+  const counter = ipCounters.get(ip);
+  // Forget IPs that have been quiet for a full lock window
+  if (counter && Date.now() - counter.lastFailedAt > LOCK_MS && getWaitMs(counter) === 0) {
+    ipCounters.delete(ip);
+    return null;
+  }
+  return counter || null;
+};
+
+const getIpWaitMs = (ip) => {
+  const counter = getIpCounter(ip);
+  return counter ? getWaitMs(counter) : 0;
+};
+
+// Returns true when this failure locked the IP out
+const recordIpFailure = (ip) => {
+  const counter = getIpCounter(ip) || { failures: 0, retryAt: null, lockedUntil: null };
+  counter.lastFailedAt = Date.now();
+  ipCounters.set(ip, counter);
+  return applyFailure(counter, IP_POLICY);
+};
+
+module.exports = {
+  TEAM_POLICY,
+  applyFailure,
+  getWaitMs,
+  getIpWaitMs,
+  recordIpFailure
+};
@@ -0,0 +1,160 @@
+// CSV player import: reading the file, mapping columns and validating rows.
+// The route (routes/playerRoutes.js) decides what gets inserted or updated.
+const fs = require('fs');
+const csv = require('csv-parser');
+const { readProfile } = require('./playerProfile');
+
+// Headers recognised for each field when no column map is given
+const DEFAULT_COLUMNS = {
+  externalCode: ['externalCode', 'External Code', 'Player Code', 'code', 'Code'],
+  name: ['name', 'Name'],
+  category: ['category', 'Category'],
+  photo: ['photo', 'Photo'],
+  basePrice: ['basePrice', 'Base Price'],
+  battingHand: ['battingHand', 'Batting Hand'],
+  bowlingStyle: ['bowlingStyle', 'Bowling Style'],
+  roleNotes: ['roleNotes', 'Role Notes'],
+  jerseyNumber: ['jerseyNumber', 'Jersey Number'],
+  matches: ['matches', 'Matches'],
+  runs: ['runs', 'Runs'],
+  wickets: ['wickets', 'Wickets'],
+  strikeRate: ['strikeRate', 'Strike Rate'],
+  economy: ['economy', 'Economy'],
+  phone: ['phone', 'Phone'],
+  email: ['email', 'Email']
+};
+
+const IMPORT_FIELDS = Object.keys(DEFAULT_COLUMNS);
+const PROFILE_FIELDS = IMPORT_FIELDS.filter(field => !['externalCode', 'name', 'category', 'photo', 'basePrice'].includes(field));
+
+// How a row finds the player it updates
+const MATCH_KEYS = ['externalCode', 'namePhone'];
+
+const CATEGORY_ALIASES = {
+  'batsman': 'Batsman',
+  'batter': 'Batsman',
+  'bowler': 'Bowler',
+  'all-rounder': 'All-Rounder',
+  'allrounder': 'All-Rounder',
+  'all rounder': 'All-Rounder',
+  'wicket-keeper': 'Wicket-Keeper',
+  'wicketkeeper': 'Wicket-Keeper',
+  'wicket keeper': 'Wicket-Keeper',
+  'keeper': 'Wicket-Keeper'
+};
+
+const normalizeCategory = (category) => CATEGORY_ALIASES[category.trim().toLowerCase()] || null;
+
+// Read the whole file: { headers, rows }. Spreadsheet exports often start with a BOM.
+const readCsv = (filePath) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+  fs.createReadStream(filePath)
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('headers', (list) => { headers = list; })
+    .on('data', (row) => rows.push(row))
+    .on('end', () => resolve({ headers, rows }))
+    .on('error', reject);
+});
+
+// columnMap ({ field: 'CSV header' }) wins; other fields fall back to the default headers.
+// Returns { columns: { field: header }, errors }
+const resolveColumns = (headers, columnMap = {}) => {
+  const columns = {};
+  const errors = [];
+
+  for (const [field, header] of Object.entries(columnMap)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown field "${field}" in column map`);
+    } else if (!headers.includes(header)) {
+      errors.push(`Column "${header}" (mapped to ${field}) is not in the file`);
+    } else {
+      columns[field] = header;
+    }
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (columnMap[field]) continue;
+    const header = DEFAULT_COLUMNS[field].find(candidate => headers.includes(candidate));
+    if (header) columns[field] = header;
+  }
+
+  return { columns, errors };
+};
+
+// Validate one row. Blank cells mean "not given", so an update never wipes a field by accident.
+// Returns { values (dotted paths, ready for doc.set), errors: [{ field, error }] }
+const parseRow = (row, columns) => {
+  const cell = (field) => {
+    const value = columns[field] ? row[columns[field]] : undefined;
+    return value === undefined || String(value).trim() === '' ? undefined : String(value).trim();
+  };
+  const values = {};
+  const errors = [];
+
+  for (const field of ['externalCode', 'name', 'photo']) {
+    if (cell(field) !== undefined) values[field] = cell(field);
+  }
+
+  const category = cell('category');
+  if (category !== undefined) {
+    values.category = normalizeCategory(category);
+    if (!values.category) {
+      delete values.category;
+      errors.push({ field: 'category', error: `"${category}" is not a category (Batsman, Bowler, All-Rounder or Wicket-Keeper)` });
+    }
+  }
+
+  const basePrice = cell('basePrice');
+  if (basePrice !== undefined) {
+    const amount = Number(basePrice);
+    if (Number.isInteger(amount) && amount >= 0) {
+      values.basePrice = amount;
+    } else {
+      errors.push({ field: 'basePrice', error: `"${basePrice}" is not a whole number of 0 or more` });
+    }
+  }
+
+  const profileInput = {};
+  for (const field of PROFILE_FIELDS) {
+    if (cell(field) !== undefined) profileInput[field] = cell(field);
+  }
+  const profile = readProfile(profileInput);
+  errors.push(...profile.errors.map(({ field, message }) => ({ field, error: message })));
+  Object.assign(values, profile.fields);
+
+  return { values, errors };
+};
+
+// Natural key of a row for duplicate detection, or null when the row lacks it
+const getMatchKey = (values, matchBy) => {
+  if (matchBy === 'externalCode') {
+    return values.externalCode || null;
+  }
+  const phone = values['contact.phone'];
+  return values.name && phone ? `${values.name.toLowerCase()}|${phone}` : null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query for the existing player a row points at
+const getMatchFilter = (tournamentId, values, matchBy) => {
+  if (matchBy === 'externalCode') {
+    return { tournament: tournamentId, externalCode: values.externalCode };
+  }
+  return {
+    tournament: tournamentId,
+    name: new RegExp(`^${escapeRegExp(values.name)}$`, 'i'),
+    'contact.phone': values['contact.phone']
+  };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MATCH_KEYS,
+  readCsv,
+  resolveColumns,
+  parseRow,
+  getMatchKey,
+  getMatchFilter
+};
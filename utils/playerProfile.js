@@ -0,0 +1,87 @@
+// Optional player profile fields, shared by registration, player edits and CSV upload
+
+const BATTING_HANDS = ['Right', 'Left'];
+
+const BOWLING_STYLES = [
+  'Right-arm fast',
+  'Right-arm medium',
+  'Right-arm off-spin',
+  'Right-arm leg-spin',
+  'Left-arm fast',
+  'Left-arm medium',
+  'Left-arm orthodox',
+  'Left-arm wrist-spin'
+];
+
+const STAT_FIELDS = ['matches', 'runs', 'wickets', 'strikeRate', 'economy'];
+const WHOLE_STATS = ['matches', 'runs', 'wickets'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Case-insensitive match against an enum, also accepting "right arm off spin" style spellings
+const matchOption = (options, value) => {
+  const wanted = String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  return options.find(option => option.toLowerCase().replace(/[\s_-]+/g, ' ') === wanted) || null;
+};
+
+// Read profile values from a request body or CSV row. Nested (stats.runs, contact.phone) and
+// flat (runs, phone) keys are both accepted. Only keys that are present end up in `fields`
+// (as dotted paths, ready for doc.set); an empty value clears the field. Errors are { field, message }.
+const readProfile = (input = {}) => {
+  const stats = { ...input, ...(typeof input.stats === 'object' && input.stats) };
+  const contact = { ...input, ...(typeof input.contact === 'object' && input.contact) };
+  const fields = {};
+  const errors = [];
+
+  if (input.battingHand !== undefined) {
+    const hand = isBlank(input.battingHand) ? null : matchOption(BATTING_HANDS, input.battingHand);
+    if (!isBlank(input.battingHand) && !hand) errors.push({ field: 'battingHand', message: `Batting hand must be one of: ${BATTING_HANDS.join(', ')}` });
+    else fields.battingHand = hand;
+  }
+
+  if (input.bowlingStyle !== undefined) {
+    const style = isBlank(input.bowlingStyle) ? null : matchOption(BOWLING_STYLES, input.bowlingStyle);
+    if (!isBlank(input.bowlingStyle) && !style) errors.push({ field: 'bowlingStyle', message: `Bowling style must be one of: ${BOWLING_STYLES.join(', ')}` });
+    else fields.bowlingStyle = style;
+  }
+
+  if (input.roleNotes !== undefined) {
+    fields.roleNotes = isBlank(input.roleNotes) ? '' : String(input.roleNotes).trim();
+  }
+
+  if (input.jerseyNumber !== undefined) {
+    const number = Number(input.jerseyNumber);
+    if (isBlank(input.jerseyNumber)) fields.jerseyNumber = null;
+    else if (!Number.isInteger(number) || number < 0 || number > 999) errors.push({ field: 'jerseyNumber', message: 'Jersey number must be a whole number from 0 to 999' });
+    else fields.jerseyNumber = number;
+  }
+
+  for (const stat of STAT_FIELDS) {
+    if (stats[stat] === undefined) continue;
+    const value = Number(stats[stat]);
+    if (isBlank(stats[stat])) fields[`stats.${stat}`] = null;
+    else if (!Number.isFinite(value) || value < 0 || (WHOLE_STATS.includes(stat) && !Number.isInteger(value))) {
+      errors.push({ field: stat, message: `${stat} must be a ${WHOLE_STATS.includes(stat) ? 'whole ' : ''}number of 0 or more` });
+    } else fields[`stats.${stat}`] = value;
+  }
+
+  if (contact.phone !== undefined) {
+    fields['contact.phone'] = isBlank(contact.phone) ? null : String(contact.phone).trim();
+  }
+
+  if (contact.email !== undefined) {
+    const email = isBlank(contact.email) ? null : String(contact.email).trim().toLowerCase();
+    if (email && !EMAIL_PATTERN.test(email)) errors.push({ field: 'email', message: 'Email address is not valid' });
+    else fields['contact.email'] = email;
+  }
+
+  return { fields, errors };
+};
+
+module.exports = {
+  BATTING_HANDS,
+  BOWLING_STYLES,
+  readProfile
+};
@@ -0,0 +1,423 @@
+// Sale settlement: player, team and auction state change together or not at all.
+// Needs a replica set (MongoDB Atlas, or a local single-node replica set) for transactions.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Team = require('../models/Team');
+const AuctionState = require('../models/AuctionState');
+const Bid = require('../models/Bid');
+const { recordEvent, systemActor } = require('./auctionEvents');
+
+const RECENTLY_SOLD_LIMIT = 10;
+
+// Idempotency key for one auction round (one player going under the hammer)
+const newRoundKey = () => crypto.randomUUID();
+
+// A player joining a team keeps their jersey number unless a teammate already wears it
+const clearJerseyClash = async (playerId, teamId, session = null) => {
+  const player = await Player.findById(playerId).select('name jerseyNumber').session(session);
+  if (player?.jerseyNumber == null) return false;
+
+  const clash = await Player.exists({
+    _id: { $ne: playerId },
+    soldTo: teamId,
+    jerseyNumber: player.jerseyNumber
+  }).session(session);
+  if (!clash) return false;
+
+  await Player.updateOne({ _id: playerId }, { $set: { jerseyNumber: null } }, { session });
+  console.log(`👕 Cleared jersey #${player.jerseyNumber} of ${player.name}: already taken in the new team`);
+  return true;
+};
+
+// Settle the round identified by roundKey. Returns false if it was already settled.
+// rtmMatchedTeamId is the outbid team when teamId won the player with a Right-to-Match card.
+const settleSale = async ({ tournamentId, roundKey, playerId, teamId, amount, rtmMatchedTeamId = null }) => {
+  const session = await mongoose.startSession();
+  let settled = false;
+
+  try {
+    await session.withTransaction(async () => {
+      settled = false; // withTransaction may retry the callback
+      const soldAt = new Date();
+
+      // Claim the round: only the first settlement attempt matches, and only for the
+      // high bid it was given (a bid that got in meanwhile makes this match nothing)
+      const update = {
+        $set: {
+          isActive: false,
+          currentPlayer: null,
+          currentHighBid: { amount: 5, team: null },
+          roundKey: null
+        }
+      };
+      if (teamId) {
+        update.$push = {
+          recentlySold: {
+            $each: [{ player: playerId, team: teamId, amount, soldAt }],
+            $position: 0,
+            $slice: RECENTLY_SOLD_LIMIT
+          }
+        };
+      }
+
+      const claimed = await AuctionState.findOneAndUpdate(
+        {
+          tournament: tournamentId,
+          roundKey,
+          currentPlayer: playerId,
+          isActive: true,
+          'currentHighBid.amount': amount,
+          'currentHighBid.team': rtmMatchedTeamId || teamId || null
+        },
+        update,
+        { session }
+      );
+      if (!claimed) return;
+
+      if (teamId) {
+        await clearJerseyClash(playerId, teamId, session);
+        const playerResult = await Player.updateOne(
+          { _id: playerId, status: { $ne: 'SOLD' } },
+          { $set: { status: 'SOLD', soldTo: teamId, soldPrice: amount, soldAt, saleKey: roundKey, voidedSale: null } },
+          { session }
+        );
+        if (playerResult.modifiedCount !== 1) {
+          throw new Error('Player was already sold');
+        }
+
+        const teamFilter = { _id: teamId };
+        const teamInc = { remainingPoints: -amount, rosterSlotsFilled: 1 };
+        if (rtmMatchedTeamId) {
+          teamFilter.rtmCardsRemaining = { $gt: 0 };
+          teamInc.rtmCardsRemaining = -1;
+        }
+
+        const teamResult = await Team.updateOne(
+          teamFilter,
+          { $inc: teamInc, $push: { players: playerId } },
+          { session }
+        );
+        if (teamResult.modifiedCount !== 1) {
+          throw new Error(rtmMatchedTeamId ? 'Team has no RTM cards left' : 'Winning team not found');
+        }
+      } else {
+        await Player.updateOne({ _id: playerId }, { $set: { status: 'UNSOLD' } }, { session });
+      }
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: teamId ? 'PLAYER_SOLD' : 'PLAYER_UNSOLD',
+        actor: systemActor('timer'),
+        player: playerId,
+        team: teamId,
+        amount: teamId ? amount : null,
+        payload: rtmMatchedTeamId ? { roundKey, rtm: true, matchedTeam: rtmMatchedTeamId } : { roundKey }
+      }, session);
+
+      settled = true;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return settled;
+};
+
+// Undo a sale without losing it: refund the team, void the player's bids and keep
+// the sale on the player so it can be redone. Returns the voided sale, or null.
+const voidSale = async ({ tournamentId, playerId, reason, actor }) => {
+  const session = await mongoose.startSession();
+  let voidedSale = null;
+
+  try {
+    await session.withTransaction(async () => {
+      voidedSale = null;
+      const player = await Player.findOne({ _id: playerId, tournament: tournamentId, status: 'SOLD' })
+        .session(session);
+      if (!player) return;
+
+      const voidedAt = new Date();
+      const sale = {
+        team: player.soldTo,
+        price: player.soldPrice || 0,
+        soldAt: player.soldAt,
+        saleKey: player.saleKey,
+        voidKey: crypto.randomUUID(),
+        reason,
+        voidedAt
+      };
+
+      await Team.updateOne(
+        { _id: sale.team },
+        {
+          $inc: { remainingPoints: sale.price, rosterSlotsFilled: -1 },
+          $pull: { players: player._id }
+        },
+        { session }
+      );
+
+      await Player.updateOne(
+        { _id: player._id },
+        { $set: { status: 'UNSOLD', soldTo: null, soldPrice: null, soldAt: null, saleKey: null, voidedSale: sale } },
+        { session }
+      );
+
+      await Bid.updateMany(
+        { player: player._id, voided: { $ne: true } },
+        { $set: { voided: true, voidKey: sale.voidKey, voidReason: reason, voidedAt } },
+        { session }
+      );
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'SALE_UNDONE',
+        actor,
+        player: player._id,
+        team: sale.team,
+        amount: sale.price,
+        payload: { reason, voidKey: sale.voidKey }
+      }, session);
+
+      voidedSale = sale;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return voidedSale;
+};
+
+// Re-apply a voided sale. Throws with a readable message when it can no longer be applied.
+const redoSale = async ({ tournamentId, playerId, maxSquadSize, actor }) => {
+  const session = await mongoose.startSession();
+  let restored = null;
+
+  try {
+    await session.withTransaction(async () => {
+      restored = null;
+      const player = await Player.findOne({ _id: playerId, tournament: tournamentId }).session(session);
+      if (!player || !player.voidedSale) {
+        throw new Error('No undone sale to redo for this player');
+      }
+      if (player.status !== 'UNSOLD') {
+        throw new Error(`${player.name} is ${player.status === 'SOLD' ? 'already sold' : 'in auction'}`);
+      }
+
+      const sale = player.voidedSale;
+      const teamResult = await Team.updateOne(
+        {
+          _id: sale.team,
+          remainingPoints: { $gte: sale.price },
+          rosterSlotsFilled: { $lt: maxSquadSize }
+        },
+        {
+          $inc: { remainingPoints: -sale.price, rosterSlotsFilled: 1 },
+          $push: { players: player._id }
+        },
+        { session }
+      );
+      if (teamResult.modifiedCount !== 1) {
+        throw new Error('Team no longer has the points or squad space for this sale');
+      }
+
+      await clearJerseyClash(player._id, sale.team, session);
+      await Player.updateOne(
+        { _id: player._id },
+        {
+          $set: {
+            status: 'SOLD',
+            soldTo: sale.team,
+            soldPrice: sale.price,
+            soldAt: sale.soldAt,
+            saleKey: sale.saleKey,
+            voidedSale: null
+          }
+        },
+        { session }
+      );
+
+      await Bid.updateMany(
+        { player: player._id, voidKey: sale.voidKey },
+        { $set: { voided: false, voidKey: null, voidReason: null, voidedAt: null } },
+        { session }
+      );
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'SALE_REDONE',
+        actor,
+        player: player._id,
+        team: sale.team,
+        amount: sale.price,
+        payload: { voidKey: sale.voidKey }
+      }, session);
+
+      restored = { team: sale.team, price: sale.price };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return restored;
+};
+
+// Retain a player for a team at a slab price: player and purse change together.
+// Returns the retained player, or null if another request took the player first.
+const retainPlayer = async ({ tournamentId, playerId, teamId, price, slab, maxSquadSize, actor }) => {
+  const session = await mongoose.startSession();
+  let retained = null;
+
+  try {
+    await session.withTransaction(async () => {
+      retained = null;
+      const claimable = { _id: playerId, tournament: tournamentId, status: 'UNSOLD', soldTo: null };
+      if (!(await Player.exists(claimable).session(session))) return;
+
+      // The jersey is freed before the player joins the team (the unique index would refuse it),
+      // so a claim lost after this point aborts the transaction and restores the number
+      await clearJerseyClash(playerId, teamId, session);
+      const player = await Player.findOneAndUpdate(
+        claimable,
+        { $set: { status: 'SOLD', soldTo: teamId, soldPrice: price, soldAt: new Date(), isRetained: true } },
+        { new: true, session }
+      );
+      if (!player) {
+        throw new Error('Player was just taken');
+      }
+
+      const teamResult = await Team.updateOne(
+        { _id: teamId, remainingPoints: { $gte: price }, rosterSlotsFilled: { $lt: maxSquadSize } },
+        { $inc: { remainingPoints: -price, rosterSlotsFilled: 1 }, $push: { players: playerId } },
+        { session }
+      );
+      if (teamResult.modifiedCount !== 1) {
+        throw new Error('Team no longer has the points or squad space for this retention');
+      }
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'PLAYER_SOLD',
+        actor,
+        player: playerId,
+        team: teamId,
+        amount: price,
+        payload: { source: 'retention', slab }
+      }, session);
+
+      retained = player;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return retained;
+};
+
+// Release a retention and refund the team. Returns the refunded price, or null if the
+// player is no longer retained by that team.
+const releaseRetention = async ({ tournamentId, playerId, teamId, actor }) => {
+  const session = await mongoose.startSession();
+  let refunded = null;
+
+  try {
+    await session.withTransaction(async () => {
+      refunded = null;
+      const player = await Player.findOneAndUpdate(
+        { _id: playerId, tournament: tournamentId, soldTo: teamId, isRetained: true },
+        { $set: { status: 'UNSOLD', soldTo: null, soldPrice: null, soldAt: null, isRetained: false } },
+        { session } // Returns the player as it was, with the price paid
+      );
+      if (!player) return;
+
+      const price = player.soldPrice || 0;
+      await Team.updateOne(
+        { _id: teamId },
+        { $inc: { remainingPoints: price, rosterSlotsFilled: -1 }, $pull: { players: player._id } },
+        { session }
+      );
+
+      await recordEvent({
+        tournament: tournamentId,
+        type: 'SALE_UNDONE',
+        actor,
+        player: player._id,
+        team: teamId,
+        amount: price,
+        payload: { reason: 'Retention released' }
+      }, session);
+
+      refunded = price;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return refunded;
+};
+
+// Repair sales that were only half applied (written before settlement was transactional)
+const reconcileSales = async () => {
+  let repaired = 0;
+
+  // Sold players missing from their team's roster: apply the missing debit
+  const soldPlayers = await Player.find({ status: 'SOLD', soldTo: { $ne: null } })
+    .select('name soldTo soldPrice');
+  for (const player of soldPlayers) {
+    const result = await Team.updateOne(
+      { _id: player.soldTo, players: { $ne: player._id } },
+      {
+        $inc: { remainingPoints: -(player.soldPrice || 0), rosterSlotsFilled: 1 },
+        $push: { players: player._id }
+      }
+    );
+    if (result.modifiedCount) {
+      repaired++;
+      console.log(`🔧 Added ${player.name} to team ${player.soldTo} and debited ₹${player.soldPrice || 0}L`);
+    }
+  }
+
+  // Rosters listing players that were never sold to them
+  const teams = await Team.find({ 'players.0': { $exists: true } }).select('teamName players');
+  for (const team of teams) {
+    const owned = await Player.find({ _id: { $in: team.players }, status: 'SOLD', soldTo: team._id })
+      .distinct('_id');
+    const ownedIds = new Set(owned.map(id => id.toString()));
+    const strays = team.players.filter(id => !ownedIds.has(id.toString()));
+    if (strays.length === 0) continue;
+
+    await Team.updateOne(
+      { _id: team._id },
+      { $pull: { players: { $in: strays } }, $inc: { rosterSlotsFilled: -strays.length } }
+    );
+    repaired++;
+    // The price paid is unknown at this point, so points are left for an admin to check
+    console.warn(`🔧 Removed ${strays.length} unsold player(s) from ${team.teamName}; check its remaining points`);
+  }
+
+  // Auction states still pointing at a player whose sale already went through
+  const staleStates = await AuctionState.find({ isActive: true, currentPlayer: { $ne: null } })
+    .populate('currentPlayer', 'name status');
+  for (const state of staleStates) {
+    if (state.currentPlayer?.status !== 'SOLD') continue;
+    await AuctionState.updateOne(
+      { _id: state._id },
+      { $set: { isActive: false, currentPlayer: null, currentHighBid: { amount: 5, team: null }, roundKey: null } }
+    );
+    repaired++;
+    console.log(`🔧 Closed auction round for already sold player ${state.currentPlayer.name}`);
+  }
+
+  return repaired;
+};
+
+module.exports = {
+  newRoundKey,
+  clearJerseyClash,
+  settleSale,
+  voidSale,
+  redoSale,
+  retainPlayer,
+  releaseRetention,
+  reconcileSales
+};